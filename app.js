@@ -0,0 +1,6009 @@
+const express = require("express");
+const cors = require("cors");
+const { ObjectId } = require("mongodb");
+const admin = require("firebase-admin");
+const jwt = require("jsonwebtoken");
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const createStripe = require("stripe");
+
+// Firebase (service account JSON, base64-encoded so it fits in an env var)
+if (process.env.FB_SERVICE_KEY) {
+  const serviceAccount = JSON.parse(
+    Buffer.from(process.env.FB_SERVICE_KEY, "base64").toString("utf8")
+  );
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+}
+
+// Constants
+const FREE_USER_POST_LIMIT = 5;
+// Highest page number offset pagination accepts
+const MAX_PAGE = 1000;
+const PAID_MEMBERSHIPS = ["gold", "premium"];
+// Membership plans on sale (prices in the currency's smallest unit)
+const MEMBERSHIP_PLANS = [
+  {
+    id: "gold-monthly",
+    name: "Gold Monthly",
+    membershipType: "gold",
+    price: 999,
+    currency: "usd",
+    durationDays: 30,
+    benefits: ["Unlimited posts", "Gold badge"],
+  },
+  {
+    id: "gold-yearly",
+    name: "Gold Yearly",
+    membershipType: "gold",
+    price: 9999,
+    currency: "usd",
+    durationDays: 365,
+    benefits: ["Unlimited posts", "Gold badge", "Two months free"],
+  },
+];
+const DEFAULT_MEMBERSHIP_PLAN_ID = "gold-monthly";
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often expired memberships are swept back to free
+const MEMBERSHIP_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// Days deleted posts and comments can be restored before they are purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const REPORT_STATUSES = ["pending", "dismissed", "resolved"];
+const REPORT_ACTIONS = ["dismiss", "delete_content", "warn_author"];
+const ANNOUNCEMENT_AUDIENCES = ["all", "free", "premium", "admin"];
+// Live updates over SSE: keepalive interval, client reconnect delay and
+// how many recent events are kept for Last-Event-ID resume
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const SSE_RETRY_MS = 3000;
+const SSE_REPLAY_BUFFER_SIZE = 1000;
+// Requests allowed per window for each route class, per user and per IP.
+// Override any of them with RATE_LIMITS, e.g. {"voting":{"perUser":100}}
+const RATE_LIMITS = Object.entries(JSON.parse(process.env.RATE_LIMITS || "{}")).reduce(
+  (limits, [routeClass, overrides]) => ({
+    ...limits,
+    [routeClass]: { ...limits[routeClass], ...overrides },
+  }),
+  {
+    posting: { windowMs: 60 * 60 * 1000, perUser: 10, perIp: 30 },
+    commenting: { windowMs: 60 * 1000, perUser: 6, perIp: 20 },
+    voting: { windowMs: 60 * 1000, perUser: 30, perIp: 100 },
+    reporting: { windowMs: 60 * 60 * 1000, perUser: 20, perIp: 50 },
+    payments: { windowMs: 60 * 60 * 1000, perUser: 10, perIp: 30 },
+  }
+);
+// Spam checks: repeated text within the window, and too many links from new accounts
+const SPAM_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const SPAM_NEW_ACCOUNT_AGE_MS = 24 * 60 * 60 * 1000;
+const SPAM_NEW_ACCOUNT_MAX_LINKS = 2;
+const LINK_PATTERN = /https?:\/\/|www\./gi;
+// Largest revision diff computed (changed lines before x changed lines after)
+const DIFF_MAX_CELLS = 1000000;
+// A reader's repeat views of a post within this window count once
+const VIEW_DEDUP_WINDOW_MS = (Number(process.env.VIEW_DEDUP_MINUTES) || 30) * 60 * 1000;
+// Days of per-view history kept for trending and authors' view statistics
+const VIEW_HISTORY_DAYS = 90;
+// Trending windows, and how much each kind of activity counts toward the score
+const TRENDING_WINDOWS = { "1h": 60 * 60 * 1000, "24h": DAY_MS, "7d": 7 * DAY_MS };
+const TRENDING_WEIGHTS = { views: 1, votes: 3, comments: 5 };
+// Vote types and the post/comment counter each one is tallied in
+const VOTE_COUNTERS = { upvote: "upVote", downvote: "downVote" };
+// Most audit log entries one CSV export returns
+const AUDIT_EXPORT_MAX_ROWS = 10000;
+// Most authors (and, separately, tags) one user can follow
+const MAX_FOLLOWS_PER_TYPE = 500;
+// Longest range the analytics endpoint covers in one request
+const ANALYTICS_MAX_RANGE_DAYS = 366;
+// Kinds of notifications users get (each can be muted)
+const NOTIFICATION_TYPES = ["comment", "reply", "vote", "role_change", "announcement"];
+// Deepest reply level allowed (top-level comments are depth 0)
+const MAX_COMMENT_DEPTH = Number(process.env.MAX_COMMENT_DEPTH) || 3;
+// Comment listing sort orders, always ending on _id so cursors are stable
+const COMMENT_SORTS = {
+  oldest: [["createdAt", 1], ["_id", 1]],
+  newest: [["createdAt", -1], ["_id", -1]],
+  top: [["replyCount", -1], ["createdAt", 1], ["_id", 1]],
+};
+// Post listing sort orders, always ending on _id so cursors are stable
+const POST_SORTS = {
+  new: [["postTime", -1], ["_id", -1]],
+  popular: [["netScore", -1], ["postTime", -1], ["_id", -1]],
+  hot: [["hotScore", -1], ["_id", -1]],
+  controversial: [["controversy", -1], ["postTime", -1], ["_id", -1]],
+  relevance: [["relevance", -1], ["postTime", -1], ["_id", -1]],
+};
+// Reference point for hot scores (newer posts outrank older ones with the same score)
+const HOT_EPOCH = new Date("2025-01-01T00:00:00Z");
+// Characters of description shown around search matches
+const SEARCH_SNIPPET_LENGTH = 160;
+// Reject tags on new posts that aren't in the tags collection
+const REJECT_UNKNOWN_TAGS = process.env.REJECT_UNKNOWN_TAGS === "true";
+// Web client that feed items link to
+const CLIENT_URL = (process.env.CLIENT_URL || "http://localhost:5173").replace(/\/+$/, "");
+// Items per RSS/Atom feed, and how long readers may cache a feed
+const FEED_ITEM_LIMIT = 20;
+const FEED_MAX_AGE_SECONDS = 300;
+
+// Build the app on top of a store (see store/). Nothing here connects or listens:
+// call app.locals.prepareStore() once the store is reachable and
+// app.locals.startJobs() to run the periodic sweeps.
+function createApp({ store, stripe } = {}) {
+  if (!store) {
+    throw new Error("createApp needs a store");
+  }
+  // Stripe client, created on first use so the app builds without a key (e.g. in tests)
+  let stripeClient = stripe || null;
+  const getStripe = () => {
+    if (!stripeClient) {
+      stripeClient = createStripe(process.env.PAYMENT_GATEWAY_KEY);
+    }
+    return stripeClient;
+  };
+  const app = express();
+
+  // Middleware
+  // const corsOptions = {
+  //   origin: ['http://localhost:5173', 'http://localhost:3000'],
+  //   credentials: true,
+  //   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
+  // };
+
+  app.use(cors());
+  // Number of proxies in front of the app (e.g. 1 on Vercel), so req.ip is the client's
+  app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS) || 0);
+  // Keep the raw body around for Stripe webhook signature checks
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  // Error responses: { error: { code, message, fields } }
+  const ERROR_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    422: "VALIDATION_FAILED",
+    429: "RATE_LIMITED",
+    500: "INTERNAL_ERROR",
+  };
+
+  const sendError = (res, status, message, { code, fields = {}, ...details } = {}) =>
+    res.status(status).json({
+      error: {
+        code: code || ERROR_CODES[status] || "ERROR",
+        message,
+        fields,
+        ...details,
+      },
+    });
+
+  const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // Check one value against a field rule; returns { value } or { error }.
+  // Rules: { type, required, nullable, enum, min, max, minLength, maxLength, maxItems, items, label }
+  // Values from params and query arrive as strings, so numbers and booleans are parsed.
+  const checkField = (rule, value, name) => {
+    const label = rule.label || name;
+
+    if (value === undefined || value === "") {
+      if (rule.required) {
+        return { error: `${label} is required` };
+      }
+      return { value: rule.default };
+    }
+    if (value === null) {
+      return rule.nullable ? { value: null } : { error: `${label} cannot be null` };
+    }
+
+    switch (rule.type) {
+      case "string":
+      case "email": {
+        if (typeof value !== "string") {
+          return { error: `${label} must be a string` };
+        }
+        const text = value.trim();
+        if (rule.required && !text) {
+          return { error: `${label} is required` };
+        }
+        if (rule.minLength && text.length < rule.minLength) {
+          return { error: `${label} must be at least ${rule.minLength} characters` };
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+          return { error: `${label} must be at most ${rule.maxLength} characters` };
+        }
+        if (rule.type === "email" && !EMAIL_PATTERN.test(text)) {
+          return { error: `${label} must be a valid email` };
+        }
+        if (rule.enum && !rule.enum.includes(text)) {
+          return { error: `${label} must be one of: ${rule.enum.join(", ")}` };
+        }
+        return { value: text };
+      }
+
+      case "number":
+      case "integer": {
+        const number = typeof value === "string" ? Number(value) : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+          return { error: `${label} must be a number` };
+        }
+        if (rule.type === "integer" && !Number.isInteger(number)) {
+          return { error: `${label} must be a whole number` };
+        }
+        if (rule.min !== undefined && number < rule.min) {
+          return { error: `${label} must be at least ${rule.min}` };
+        }
+        if (rule.max !== undefined && number > rule.max) {
+          return { error: `${label} must be at most ${rule.max}` };
+        }
+        return { value: number };
+      }
+
+      case "boolean": {
+        if (value === true || value === "true") {
+          return { value: true };
+        }
+        if (value === false || value === "false") {
+          return { value: false };
+        }
+        return { error: `${label} must be true or false` };
+      }
+
+      case "objectId": {
+        if (typeof value !== "string" || !OBJECT_ID_PATTERN.test(value)) {
+          return { error: `${label} must be a valid id` };
+        }
+        return { value };
+      }
+
+      case "date": {
+        const date = new Date(value);
+        if (typeof value === "boolean" || isNaN(date.getTime())) {
+          return { error: `${label} must be a valid date` };
+        }
+        return { value: date };
+      }
+
+      case "array": {
+        // Comma-separated strings are accepted for convenience (e.g. tags)
+        const list = typeof value === "string" ? value.split(",") : value;
+        if (!Array.isArray(list)) {
+          return { error: `${label} must be a list` };
+        }
+        if (rule.maxItems && list.length > rule.maxItems) {
+          return { error: `${label} can have at most ${rule.maxItems} items` };
+        }
+        if (!rule.items) {
+          return { value: list };
+        }
+        const items = [];
+        for (const item of list) {
+          const result = checkField(rule.items, item, `Each ${label.toLowerCase()} item`);
+          if (result.error) {
+            return result;
+          }
+          if (result.value !== undefined) {
+            items.push(result.value);
+          }
+        }
+        return { value: items };
+      }
+
+      default:
+        return { value };
+    }
+  };
+
+  // Validate req.params, req.query and req.body against a schema of field rules.
+  // Bad params/query answer 400, a bad body answers 422. The cleaned values (trimmed
+  // and parsed) replace what was sent; for the body only known fields are kept.
+  const validate = (schema) => (req, res, next) => {
+    for (const location of ["params", "query", "body"]) {
+      const rules = schema[location] || {};
+      const source = (location === "body" ? req.body : req[location]) || {};
+      const fields = {};
+      const values = {};
+
+      for (const [name, rule] of Object.entries(rules)) {
+        const result = checkField(rule, source[name], name);
+        if (result.error) {
+          fields[name] = result.error;
+        } else if (result.value !== undefined) {
+          values[name] = result.value;
+        }
+      }
+
+      if (Object.keys(fields).length) {
+        const status = location === "body" ? 422 : 400;
+        return sendError(res, status, Object.values(fields)[0], {
+          code: location === "body" ? "VALIDATION_FAILED" : "INVALID_REQUEST",
+          fields,
+        });
+      }
+
+      if (location === "body") {
+        req.body = values;
+      } else {
+        // Routes read the cleaned values; keys the schema doesn't list pass through.
+        // (req.query is a getter in Express 5, so it has to be redefined.)
+        Object.defineProperty(req, location, {
+          value: { ...source, ...values },
+          writable: true,
+          configurable: true,
+          enumerable: true,
+        });
+      }
+    }
+    next();
+  };
+
+  // The same rules with nothing required (for partial updates)
+  const optionalFields = (rules) =>
+    Object.fromEntries(
+      Object.entries(rules).map(([name, rule]) => [
+        name,
+        { ...rule, required: false, default: undefined },
+      ])
+    );
+
+  // Shared rules
+  const objectIdParam = (label) => ({ type: "objectId", required: true, label });
+  const emailParam = { type: "email", required: true, label: "Email" };
+  const paginationQuery = {
+    page: { type: "integer", min: 1, max: MAX_PAGE, label: "Page" },
+    limit: { type: "integer", min: 1, max: 100, label: "Limit" },
+  };
+
+  // Canonical post and comment bodies
+  const postSchema = {
+    title: { type: "string", required: true, maxLength: 200, label: "Title" },
+    description: { type: "string", required: true, maxLength: 20000, label: "Description" },
+    tags: {
+      type: "array",
+      maxItems: 10,
+      items: { type: "string", maxLength: 50 },
+      default: [],
+      label: "Tags",
+    },
+    authorName: { type: "string", maxLength: 100, label: "Author name" },
+    authorImage: { type: "string", maxLength: 2000, label: "Author image" },
+  };
+
+  const commentSchema = {
+    comment: { type: "string", required: true, maxLength: 5000, label: "Comment" },
+    parentId: { type: "objectId", nullable: true, label: "Parent comment" },
+    authorName: { type: "string", maxLength: 100, label: "Author name" },
+    authorImage: { type: "string", maxLength: 2000, label: "Author image" },
+  };
+
+  // Decode a bearer token: locally signed HS256 JWTs (for offline testing) or Firebase ID tokens
+  const decodeToken = async (token) => {
+    const header = jwt.decode(token, { complete: true })?.header;
+    if (header?.alg === "HS256") {
+      if (!process.env.JWT_SECRET) {
+        throw new Error("Local tokens are not enabled");
+      }
+      return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ["HS256"] });
+    }
+    if (!admin.apps.length) {
+      throw new Error("Firebase is not configured");
+    }
+    return admin.auth().verifyIdToken(token);
+  };
+
+  // Verify the caller's token and put their identity and role on req.user
+  const verifyFBToken = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return sendError(res, 401, "unauthorized access");
+    }
+    const token = authHeader.split(" ")[1];
+    if (!token) {
+      return sendError(res, 401, "unauthorized access");
+    }
+
+    // verify the token
+    let decoded;
+    try {
+      decoded = await decodeToken(token);
+    } catch (error) {
+      return sendError(res, 403, "forbidden access");
+    }
+
+    if (!decoded.email) {
+      return sendError(res, 403, "forbidden access");
+    }
+
+    try {
+      const user = await applyMembershipExpiry(
+        await usersCollection.findOne({ email: decoded.email })
+      );
+      req.decoded = decoded;
+      req.user = {
+        _id: user?._id || null,
+        uid: decoded.uid || decoded.user_id || decoded.sub || null,
+        email: decoded.email,
+        name: user?.displayName || decoded.name || decoded.email.split("@")[0],
+        photoURL: user?.photoURL || decoded.picture || null,
+        role: user?.role || "member",
+        membership: user?.membership || "free",
+        createdAt: user?.createdAt || null,
+        suspension: getActiveSuspension(user),
+      };
+      next();
+    } catch (error) {
+      console.error("Error loading authenticated user:", error);
+      sendError(res, 500, "Failed to authenticate user");
+    }
+  };
+
+  // Identify the caller when a token is sent, but let anonymous requests through
+  const optionalAuth = (req, res, next) => {
+    if (!req.headers.authorization) {
+      return next();
+    }
+    return verifyFBToken(req, res, next);
+  };
+
+  // Only let admins through (use after verifyFBToken)
+  const verifyAdmin = (req, res, next) => {
+    if (req.user?.role !== "admin") {
+      return sendError(res, 403, "forbidden access");
+    }
+    next();
+  };
+
+  // In-memory rate limiting: fixed windows counted per user and per IP for each
+  // route class. Counters live in this process only and reset on restart.
+  const rateLimitHits = new Map();
+
+  // Drop windows that have ended so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, hit] of rateLimitHits) {
+      if (hit.resetAt <= now) {
+        rateLimitHits.delete(key);
+      }
+    }
+  }, 60 * 1000).unref();
+
+  // Limit a route class (use after verifyFBToken). Answers 429 with Retry-After
+  // once either the caller's or their IP's allowance for the window is used up.
+  const rateLimit = (routeClass) => (req, res, next) => {
+    const { windowMs, perUser, perIp } = RATE_LIMITS[routeClass];
+    const now = Date.now();
+    const keys = [
+      [`${routeClass}:user:${req.user?.email}`, perUser],
+      [`${routeClass}:ip:${req.ip}`, perIp],
+    ];
+
+    const hits = keys.map(([key, limit]) => {
+      let hit = rateLimitHits.get(key);
+      if (!hit || hit.resetAt <= now) {
+        hit = { count: 0, resetAt: now + windowMs };
+        rateLimitHits.set(key, hit);
+      }
+      return { hit, limit };
+    });
+
+    const blocked = hits.filter(({ hit, limit }) => hit.count >= limit);
+    if (blocked.length) {
+      const resetAt = Math.max(...blocked.map(({ hit }) => hit.resetAt));
+      const retryAfter = Math.ceil((resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return sendError(res, 429, `Too many requests, try again in ${retryAfter} seconds`, {
+        retryAfter,
+      });
+    }
+
+    hits.forEach(({ hit }) => hit.count++);
+    const [{ hit: userHit, limit: userLimit }] = hits;
+    res.set("X-RateLimit-Limit", String(userLimit));
+    res.set("X-RateLimit-Remaining", String(Math.max(userLimit - userHit.count, 0)));
+    res.set("X-RateLimit-Reset", String(Math.ceil(userHit.resetAt / 1000)));
+    next();
+  };
+
+  // The user's suspension or ban if it's still in force (suspensions end on their own)
+  const getActiveSuspension = (user, now = new Date()) => {
+    const suspension = user?.suspension;
+    if (!suspension || (suspension.endsAt && suspension.endsAt <= now)) {
+      return null;
+    }
+    return suspension;
+  };
+
+  // Keep suspended and banned users from posting, commenting, voting, reporting and
+  // restoring trashed content, and from deleting their account to start over with a
+  // clean record
+  // (use after verifyFBToken)
+  const requireGoodStanding = (req, res, next) => {
+    const { suspension } = req.user;
+    if (!suspension) {
+      return next();
+    }
+    if (suspension.type === "ban") {
+      return sendError(res, 403, "Your account has been banned", {
+        code: "ACCOUNT_BANNED",
+        reason: suspension.reason,
+      });
+    }
+    return sendError(
+      res,
+      403,
+      `Your account is suspended until ${suspension.endsAt.toISOString()}`,
+      {
+        code: "ACCOUNT_SUSPENDED",
+        reason: suspension.reason,
+        suspendedUntil: suspension.endsAt,
+      }
+    );
+  };
+
+  // Store collections (see store/collections.js)
+  const postsCollection = store.posts;
+  const commentsCollection = store.comments;
+  const tagsCollection = store.tags;
+  const announcementsCollection = store.announcements;
+  const usersCollection = store.users;
+  const paymentsCollection = store.payments;
+  const reportsCollection = store.reports;
+  const announcementStatesCollection = store.announcementStates;
+  const postRevisionsCollection = store.postRevisions;
+  const notificationsCollection = store.notifications;
+  const voteEventsCollection = store.voteEvents;
+  const bookmarksCollection = store.bookmarks;
+  const followsCollection = store.follows;
+  const auditLogCollection = store.auditLog;
+  const postViewersCollection = store.postViewers;
+  const postViewsCollection = store.postViews;
+  const votesCollection = store.votes;
+
+  // Make the store available to routes
+  app.locals.store = store;
+
+  // Create the indexes the routes rely on (safe to run on every start)
+  async function ensureIndexes() {
+    // One vote per voter per post or comment
+    await votesCollection.createIndex(
+      { voterId: 1, targetType: 1, targetId: 1 },
+      { unique: true }
+    );
+    await votesCollection.createIndex({ targetType: 1, targetId: 1 });
+    // One report per reporter per target
+    await reportsCollection.createIndex(
+      { reporterEmail: 1, targetType: 1, targetId: 1 },
+      { unique: true }
+    );
+    await reportsCollection.createIndex({ status: 1, createdAt: -1 });
+    await commentsCollection.createIndex({ postId: 1, parentId: 1, createdAt: 1 });
+    // Spam checks look up an author's recent comments; admins review held ones
+    await commentsCollection.createIndex({ authorEmail: 1, createdAt: -1 });
+    await commentsCollection.createIndex({ held: 1 }, { sparse: true });
+    await voteEventsCollection.createIndex({ createdAt: 1 });
+    await postViewersCollection.createIndex({ postId: 1, viewerKey: 1 }, { unique: true });
+    await postViewsCollection.createIndex({ postId: 1, viewedAt: 1 });
+    await postViewsCollection.createIndex(
+      { viewedAt: 1 },
+      { expireAfterSeconds: VIEW_HISTORY_DAYS * 24 * 60 * 60 }
+    );
+    await auditLogCollection.createIndex({ createdAt: -1 });
+    await auditLogCollection.createIndex({ actorEmail: 1, createdAt: -1 });
+    await auditLogCollection.createIndex({ action: 1, createdAt: -1 });
+    await auditLogCollection.createIndex({ targetType: 1, targetId: 1 });
+    // One bookmark per user per post, and one follow per user per author or tag
+    await bookmarksCollection.createIndex({ email: 1, postId: 1 }, { unique: true });
+    await bookmarksCollection.createIndex({ email: 1, createdAt: -1 });
+    await bookmarksCollection.createIndex({ postId: 1 });
+    await followsCollection.createIndex({ email: 1, targetType: 1, target: 1 }, { unique: true });
+    await followsCollection.createIndex({ targetType: 1, target: 1 });
+    // Trash listings and the purge job
+    await postsCollection.createIndex({ status: 1, deletedAt: 1 });
+    await commentsCollection.createIndex({ deleted: 1, deletedAt: 1 });
+    await notificationsCollection.createIndex({ recipientEmail: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({ recipientEmail: 1, read: 1 });
+    await notificationsCollection.createIndex({ announcementId: 1 }, { sparse: true });
+    // One stored copy per post version
+    await postRevisionsCollection.createIndex({ postId: 1, version: 1 }, { unique: true });
+    await postsCollection.createIndex(
+      { title: "text", description: "text", tags: "text" },
+      { name: "posts_text", weights: { title: 10, tags: 5, description: 1 } }
+    );
+    await tagsCollection.createIndex({ name: 1 }, { unique: true });
+    // Webhook deliveries and client reports are keyed on the payment intent
+    await paymentsCollection.createIndex({ paymentIntentId: 1 }, { unique: true });
+    await tagsCollection.createIndex({ aliases: 1 });
+    // One read/dismissed state per user per announcement
+    await announcementStatesCollection.createIndex(
+      { announcementId: 1, email: 1 },
+      { unique: true }
+    );
+  }
+
+  // Create indexes and bring older documents into shape (safe to run on every start)
+  app.locals.prepareStore = async () => {
+    // Before the unique tag name index is built
+    await normalizeTags();
+    await ensureIndexes();
+    await backfillCommentThreads();
+    await backfillPostShape();
+    await migrateVoteMaps();
+    await backfillMembershipExpiry();
+  };
+
+  // Start the periodic jobs; returns a function that stops them
+  app.locals.startJobs = () => {
+    // Periodically downgrade expired memberships
+    const sweepMemberships = () =>
+      expireMemberships()
+        .then((count) => count && console.log(`Expired ${count} memberships`))
+        .catch((error) => console.error("Error expiring memberships:", error));
+    sweepMemberships();
+
+    // Periodically purge the trash past its retention window
+    const emptyTrash = () =>
+      purgeTrash()
+        .then(({ posts, comments }) => {
+          if (posts || comments) {
+            console.log(`Purged ${posts} posts and ${comments} comments from the trash`);
+          }
+        })
+        .catch((error) => console.error("Error purging trash:", error));
+    emptyTrash();
+
+    const timers = [
+      setInterval(sweepMemberships, MEMBERSHIP_SWEEP_INTERVAL_MS).unref(),
+      setInterval(emptyTrash, TRASH_PURGE_INTERVAL_MS).unref(),
+    ];
+    return () => timers.forEach(clearInterval);
+  };
+
+  // Get user's post count
+  app.get("/posts/user/:email/count", validate({ params: { email: emailParam } }), async (req, res) => {
+    try {
+      const { email } = req.params;
+
+      const count = await postsCollection.countDocuments({ 
+        authorEmail: email,
+        status: { $ne: 'deleted' } // Don't count deleted posts
+      });
+
+      res.json({ count });
+    } catch (error) {
+      console.error("Error counting user posts:", error);
+      sendError(res, 500, "Failed to count user posts");
+    }
+  });
+
+  // Paid membership is "gold"; older records used "premium" for the same thing
+  const isPaidMember = (user) => PAID_MEMBERSHIPS.includes(user?.membership);
+
+  // Find a plan in the catalog by id
+  const findMembershipPlan = (planId) =>
+    MEMBERSHIP_PLANS.find((plan) => plan.id === planId) || null;
+
+  // The plan a payment bought (older payments didn't record one)
+  const getPaymentPlan = (payment) =>
+    findMembershipPlan(payment.planId) ||
+    findMembershipPlan(DEFAULT_MEMBERSHIP_PLAN_ID);
+
+  // Check if user can create a post (for free users with post limit)
+  const canUserCreatePost = async (email) => {
+    try {
+      // Check if user is a paid member
+      const user = await applyMembershipExpiry(
+        await usersCollection.findOne({ email })
+      );
+      if (isPaidMember(user)) {
+        return { canPost: true };
+      }
+
+      // For free users, check post count
+      const postCount = await postsCollection.countDocuments({ 
+        authorEmail: email,
+        status: { $ne: 'deleted' }
+      });
+
+      return {
+        canPost: postCount < FREE_USER_POST_LIMIT,
+        postCount,
+        limit: FREE_USER_POST_LIMIT
+      };
+    } catch (error) {
+      console.error("Error checking post limit:", error);
+      throw new Error("Failed to check post limit");
+    }
+  };
+
+  // Give comments from before threading the fields replies rely on
+  async function backfillCommentThreads() {
+    await commentsCollection.updateMany(
+      { replyCount: { $exists: false } },
+      { $set: { parentId: null, depth: 0, replyCount: 0 } }
+    );
+    // Placeholders from before the trash already had their content removed
+    await commentsCollection.updateMany(
+      { deleted: true, deletedBy: { $exists: false }, purgedAt: { $exists: false } },
+      [{ $set: { purgedAt: { $ifNull: ["$deletedAt", "$$NOW"] } } }]
+    );
+    // Comments from before comment voting start with no votes
+    await commentsCollection.updateMany(
+      { upVote: { $exists: false } },
+      { $set: { upVote: 0, downVote: 0 } }
+    );
+  }
+
+  // Bring posts from the old second create handler (createdAt/upvotes/downvotes)
+  // and posts that kept the email in authorName into the canonical shape
+  async function backfillPostShape() {
+    await postsCollection.updateMany({ postTime: { $exists: false } }, [
+      { $set: { postTime: { $ifNull: ["$createdAt", "$$NOW"] } } },
+    ]);
+    await postsCollection.updateMany({ upVote: { $exists: false } }, [
+      {
+        $set: {
+          upVote: { $ifNull: ["$upvotes", 0] },
+          downVote: { $ifNull: ["$downvotes", 0] },
+        },
+      },
+      { $unset: ["upvotes", "downvotes"] },
+    ]);
+    await postsCollection.updateMany(
+      { authorEmail: { $exists: false }, authorName: { $regex: "@" } },
+      [{ $set: { authorEmail: "$authorName" } }]
+    );
+    await postsCollection.updateMany({ status: { $exists: false } }, [
+      {
+        $set: {
+          status: "active",
+          views: { $ifNull: ["$views", 0] },
+          commentCount: { $ifNull: ["$commentCount", 0] },
+        },
+      },
+    ]);
+    // Posts from before editing are on their first version
+    await postsCollection.updateMany(
+      { revision: { $exists: false } },
+      { $set: { revision: 1, edited: false } }
+    );
+  }
+
+  // Bring tags from before tag management into canonical form: tag documents get
+  // normalized names (merging ones that collide), tags on posts are normalized and
+  // resolved, and every tag used on a post gets a tag document
+  async function normalizeTags() {
+    const tags = await tagsCollection.find({}).sort({ _id: 1 }).toArray();
+    const tagIdByName = new Map();
+    for (const tag of tags) {
+      const name = normalizeTagName(tag.name || "");
+      const aliases = (tag.aliases || []).map(normalizeTagName).filter((alias) => alias && alias !== name);
+      if (name && tagIdByName.has(name)) {
+        // Collides with an earlier tag once normalized; fold its aliases into that one
+        await tagsCollection.updateOne(
+          { _id: tagIdByName.get(name) },
+          { $addToSet: { aliases: { $each: aliases } } }
+        );
+      }
+      if (!name || tagIdByName.has(name)) {
+        await tagsCollection.deleteOne({ _id: tag._id });
+        continue;
+      }
+      tagIdByName.set(name, tag._id);
+      if (name !== tag.name || !tag.aliases || aliases.length !== tag.aliases.length) {
+        await tagsCollection.updateOne(
+          { _id: tag._id },
+          { $set: { name, aliases, description: tag.description ?? "" } }
+        );
+      }
+    }
+
+    // Older posts kept tags as typed ("JavaScript", "Web Dev") or as a comma-separated string
+    const posts = await postsCollection
+      .find(
+        { $or: [{ tags: { $type: "string" } }, { tags: { $regex: /[A-Z]|\s/ } }] },
+        { projection: { tags: 1 } }
+      )
+      .toArray();
+    for (const post of posts) {
+      const { tags: resolved } = await resolveTags(post.tags);
+      await postsCollection.updateOne({ _id: post._id }, { $set: { tags: resolved } });
+    }
+
+    const { unknown } = await resolveTags(await postsCollection.distinct("tags"));
+    const now = new Date();
+    for (const name of unknown) {
+      await tagsCollection.updateOne(
+        { name },
+        { $setOnInsert: { description: "", aliases: [], createdAt: now, updatedAt: now } },
+        { upsert: true }
+      );
+    }
+  }
+
+  // Paid members from before time-limited memberships bought a membership that never
+  // ended, so rather than expiring them retroactively they get one default plan
+  // period counted from now (the first start with this code) as a grace period
+  async function backfillMembershipExpiry() {
+    const plan = findMembershipPlan(DEFAULT_MEMBERSHIP_PLAN_ID);
+    const now = new Date();
+    await usersCollection.updateMany(
+      { membership: { $in: PAID_MEMBERSHIPS }, membershipExpiresAt: null },
+      [
+        {
+          $set: {
+            membershipStartedAt: { $ifNull: ["$membershipUpgradedAt", now] },
+            membershipExpiresAt: new Date(now.getTime() + plan.durationDays * DAY_MS),
+            membershipPlanId: { $ifNull: ["$membershipPlanId", plan.id] },
+          },
+        },
+      ]
+    );
+  }
+
+  // Move the per-post votes maps (keyed by the voter's uid) into votesCollection and
+  // recount the post counters from it. Posts without a map are left alone.
+  async function migrateVoteMaps() {
+    const posts = await postsCollection
+      .find({ votes: { $type: "object" } }, { projection: { votes: 1, postTime: 1 } })
+      .toArray();
+    for (const post of posts) {
+      for (const [voterId, voteType] of Object.entries(post.votes)) {
+        if (!VOTE_COUNTERS[voteType]) {
+          continue;
+        }
+        await votesCollection.updateOne(
+          { voterId, targetType: "post", targetId: post._id },
+          {
+            $setOnInsert: {
+              voteType,
+              voterEmail: null,
+              createdAt: post.postTime || new Date(),
+              updatedAt: post.postTime || new Date(),
+            },
+          },
+          { upsert: true }
+        );
+      }
+      const [upVote, downVote] = await Promise.all(
+        Object.keys(VOTE_COUNTERS).map((voteType) =>
+          votesCollection.countDocuments({ targetType: "post", targetId: post._id, voteType })
+        )
+      );
+      await postsCollection.updateOne(
+        { _id: post._id },
+        { $set: { upVote, downVote }, $unset: { votes: "" } }
+      );
+    }
+  }
+
+  // Check whether the user wrote the post (older posts stored the email in authorName)
+  const isPostAuthor = (post, user) =>
+    post.authorEmail === user.email || post.authorName === user.email;
+
+  // When a deleted post or comment is purged for good (null if it isn't deleted)
+  const getPurgeDate = (item) =>
+    item.deletedAt ? new Date(item.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+
+  // Authors can restore what they deleted themselves; anything removed by someone else
+  // (a moderator or the post author) can only be restored by an admin
+  const canRestore = (item, user) =>
+    user.role === "admin" || (item.authorEmail === user.email && item.deletedBy === user.email);
+
+  // Move a post to the trash; its comments stay put and come back with it.
+  // Returns the deletion time, or null if the post was already deleted.
+  const softDeletePost = async (post, deletedBy, reason = null) => {
+    const deletedAt = new Date();
+    const result = await postsCollection.updateOne(
+      { _id: post._id, status: { $ne: "deleted" } },
+      { $set: { status: "deleted", deletedAt, deletedBy, deleteReason: reason } }
+    );
+    return result.modifiedCount > 0 ? deletedAt : null;
+  };
+
+  // Take a post back out of the trash
+  const restorePost = async (post) => {
+    const result = await postsCollection.updateOne(
+      { _id: post._id, status: "deleted" },
+      {
+        $set: { status: "active" },
+        $unset: { deletedAt: "", deletedBy: "", deleteReason: "" },
+      }
+    );
+    return result.modifiedCount > 0;
+  };
+
+  // Remove a post for good, together with its comments and revisions
+  const purgePost = async (post) => {
+    const commentIds = await commentsCollection.distinct("_id", {
+      postId: { $in: [post._id, post._id.toString()] },
+    });
+    await votesCollection.deleteMany({
+      $or: [
+        { targetType: "post", targetId: post._id },
+        { targetType: "comment", targetId: { $in: commentIds } },
+      ],
+    });
+    await postsCollection.deleteOne({ _id: post._id });
+    await commentsCollection.deleteMany({
+      postId: { $in: [post._id, post._id.toString()] },
+    });
+    await postRevisionsCollection.deleteMany({ postId: post._id });
+    await bookmarksCollection.deleteMany({ postId: post._id });
+    await postViewersCollection.deleteMany({ postId: post._id });
+    await postViewsCollection.deleteMany({ postId: post._id });
+  };
+
+  // Move a comment to the trash and keep the post's comment count and the parent's
+  // reply count in sync. Deleted comments with replies are listed as "[deleted]"
+  // placeholders so the thread stays intact. Returns the deletion time, or null if
+  // the comment was already deleted.
+  const softDeleteComment = async (comment, deletedBy, reason = null) => {
+    const deletedAt = new Date();
+    const result = await commentsCollection.updateOne(
+      { _id: comment._id, deleted: { $ne: true } },
+      { $set: { deleted: true, deletedAt, deletedBy, deleteReason: reason } }
+    );
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    const post = await postsCollection.findOneAndUpdate(
+      { _id: new ObjectId(comment.postId) },
+      { $inc: { commentCount: -1 } },
+      { returnDocument: "after", projection: { commentCount: 1 } }
+    );
+    if (comment.parentId) {
+      await commentsCollection.updateOne(
+        { _id: comment.parentId },
+        { $inc: { replyCount: -1 } }
+      );
+    }
+
+    publishEvent(`post:${comment.postId}`, "comment.deleted", {
+      commentId: comment._id,
+      parentId: comment.parentId || null,
+      commentCount: post?.commentCount ?? null,
+    });
+    return deletedAt;
+  };
+
+  // Take a comment back out of the trash (purged placeholders can't come back)
+  const restoreComment = async (comment) => {
+    const result = await commentsCollection.updateOne(
+      { _id: comment._id, deleted: true, purgedAt: { $exists: false } },
+      {
+        $set: { deleted: false },
+        $unset: { deletedAt: "", deletedBy: "", deleteReason: "" },
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    const post = await postsCollection.findOneAndUpdate(
+      { _id: new ObjectId(comment.postId) },
+      { $inc: { commentCount: 1 } },
+      { returnDocument: "after", projection: { commentCount: 1 } }
+    );
+    if (comment.parentId) {
+      await commentsCollection.updateOne(
+        { _id: comment.parentId },
+        { $inc: { replyCount: 1 } }
+      );
+    }
+
+    publishEvent(`post:${comment.postId}`, "comment.restored", {
+      commentId: comment._id,
+      parentId: comment.parentId || null,
+      commentCount: post?.commentCount ?? null,
+    });
+    return true;
+  };
+
+  // Remove a deleted comment for good. Comments that still have replies (even deleted
+  // ones that can be restored) keep an empty placeholder instead. Returns false when
+  // there was nothing left to do (the comment is already a placeholder).
+  const purgeComment = async (comment) => {
+    await votesCollection.deleteMany({ targetType: "comment", targetId: comment._id });
+    const hasReplies = await commentsCollection.countDocuments(
+      { parentId: comment._id },
+      { limit: 1 }
+    );
+    if (!hasReplies) {
+      await commentsCollection.deleteOne({ _id: comment._id });
+      return true;
+    }
+    if (comment.purgedAt) {
+      return false;
+    }
+    await commentsCollection.updateOne(
+      { _id: comment._id },
+      {
+        $set: {
+          comment: "[deleted]",
+          authorName: "[deleted]",
+          authorEmail: null,
+          authorImage: null,
+          upVote: 0,
+          downVote: 0,
+          purgedAt: new Date(),
+        },
+      }
+    );
+    return true;
+  };
+
+  // Permanently remove posts and comments that have been in the trash past the retention window
+  const purgeTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+
+    const posts = await postsCollection
+      .find({ status: "deleted", deletedAt: { $lte: cutoff } })
+      .toArray();
+    for (const post of posts) {
+      await purgePost(post);
+    }
+
+    const comments = await commentsCollection
+      .find({ deleted: true, deletedAt: { $lte: cutoff } })
+      .toArray();
+    // Placeholders kept for their replies come up again until those replies are gone
+    // too, so only count the comments actually removed or emptied
+    let purgedComments = 0;
+    for (const comment of comments) {
+      if (await purgeComment(comment)) {
+        purgedComments++;
+      }
+    }
+
+    return { posts: posts.length, comments: purgedComments };
+  };
+
+  // What the public sees of a deleted comment that is kept for its replies
+  const toCommentPlaceholder = (comment) =>
+    comment.deleted
+      ? {
+          ...comment,
+          comment: "[deleted]",
+          authorName: "[deleted]",
+          authorEmail: null,
+          authorImage: null,
+          deletedBy: undefined,
+          deleteReason: undefined,
+        }
+      : comment;
+
+  // Give a user a paid membership and the Gold badge for the plan's duration.
+  // Renewals extend from the current end date while it's still in the future.
+  const grantMembership = async (email, plan) => {
+    const now = new Date();
+    return usersCollection.findOneAndUpdate(
+      { email },
+      [
+        {
+          $set: {
+            membershipStartedAt: {
+              $cond: [
+                { $gt: ["$membershipExpiresAt", now] },
+                "$membershipStartedAt",
+                now,
+              ],
+            },
+            membershipExpiresAt: {
+              $add: [{ $max: [now, "$membershipExpiresAt"] }, plan.durationDays * DAY_MS],
+            },
+            membership: plan.membershipType,
+            membershipPlanId: plan.id,
+            badge: "Gold",
+            membershipUpgradedAt: now,
+            // These fields will only be set if this is a new user
+            email: { $literal: email },
+            role: { $ifNull: ["$role", "member"] },
+            createdAt: { $ifNull: ["$createdAt", now] },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+  };
+
+  // Take a refunded plan's time back off a user's membership
+  const revokeMembership = async (email, plan) => {
+    await usersCollection.updateOne({ email }, [
+      {
+        $set: {
+          membershipExpiresAt: {
+            $subtract: [
+              { $ifNull: ["$membershipExpiresAt", new Date()] },
+              plan.durationDays * DAY_MS,
+            ],
+          },
+        },
+      },
+    ]);
+    await expireMemberships({ email });
+  };
+
+  // Put users whose paid membership has run out back on the free membership
+  const expireMemberships = async (filter = {}) => {
+    const result = await usersCollection.updateMany(
+      {
+        ...filter,
+        membership: { $in: PAID_MEMBERSHIPS },
+        membershipExpiresAt: { $lte: new Date() },
+      },
+      { $set: { membership: "free", badge: "bronze" } }
+    );
+    return result.modifiedCount;
+  };
+
+  // Request-time expiry check, for when the periodic sweep hasn't caught up yet
+  const applyMembershipExpiry = async (user) => {
+    if (
+      !isPaidMember(user) ||
+      !user.membershipExpiresAt ||
+      user.membershipExpiresAt > new Date()
+    ) {
+      return user;
+    }
+    await expireMemberships({ _id: user._id });
+    return { ...user, membership: "free", badge: "bronze" };
+  };
+
+  // Live events for SSE streams. Everything runs in this process: events go out
+  // through an EventEmitter and the most recent ones are kept so reconnecting
+  // clients can resume from Last-Event-ID.
+  const liveEvents = new EventEmitter();
+  liveEvents.setMaxListeners(0);
+  const recentLiveEvents = [];
+  // Ids start at the boot time, so ids from before a restart are recognized as too old
+  let lastLiveEventId = Date.now();
+
+  // Publish an event to a channel ("feed" or "post:<id>")
+  const publishEvent = (channel, type, data) => {
+    const event = { id: ++lastLiveEventId, channel, type, data };
+    recentLiveEvents.push(event);
+    if (recentLiveEvents.length > SSE_REPLAY_BUFFER_SIZE) {
+      recentLiveEvents.shift();
+    }
+    liveEvents.emit("event", event);
+  };
+
+  // Send one event in SSE wire format
+  const writeLiveEvent = (res, event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Turn the response into an SSE stream of a channel's events. Events missed since
+  // Last-Event-ID are replayed first; if they're no longer buffered the client gets
+  // a "reset" event and should refetch.
+  const openEventStream = (req, res, channel) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    // EventSource sends the header on reconnect; the query param is for first connects
+    const lastEventId = Number(req.get("Last-Event-ID") || req.query.lastEventId);
+    if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+      const oldestId = recentLiveEvents.length ? recentLiveEvents[0].id : lastLiveEventId + 1;
+      if (lastEventId > lastLiveEventId || lastEventId + 1 < oldestId) {
+        writeLiveEvent(res, { id: lastLiveEventId, type: "reset", data: { reason: "Missed events are no longer available" } });
+      } else {
+        recentLiveEvents
+          .filter((event) => event.id > lastEventId && event.channel === channel)
+          .forEach((event) => writeLiveEvent(res, event));
+      }
+    }
+
+    const onEvent = (event) => {
+      if (event.channel === channel) {
+        writeLiveEvent(res, event);
+      }
+    };
+    liveEvents.on("event", onEvent);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), SSE_HEARTBEAT_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      liveEvents.off("event", onEvent);
+    });
+  };
+
+  // Encode the sort values of the last item on a page into an opaque cursor
+  const encodeCursor = (doc, sortFields) =>
+    Buffer.from(
+      JSON.stringify(
+        sortFields.map(([field]) => {
+          const value = doc[field];
+          if (value instanceof Date) {
+            return { $date: value.toISOString() };
+          }
+          if (value instanceof ObjectId) {
+            return { $oid: value.toString() };
+          }
+          return value ?? null;
+        })
+      )
+    ).toString("base64url");
+
+  // Decode a cursor made by encodeCursor (null if it's malformed)
+  const decodeCursor = (cursor, sortFields) => {
+    try {
+      const values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+      if (!Array.isArray(values) || values.length !== sortFields.length) {
+        return null;
+      }
+      return values.map((value) => {
+        if (value?.$date) {
+          return new Date(value.$date);
+        }
+        if (value?.$oid) {
+          return new ObjectId(value.$oid);
+        }
+        return value;
+      });
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Build a filter that picks up right after the cursor position for the given sort
+  const buildCursorQuery = (sortFields, values) => ({
+    $or: sortFields.map(([field, direction], index) => {
+      const clause = {};
+      sortFields.slice(0, index).forEach(([previous], i) => {
+        clause[previous] = values[i];
+      });
+      clause[field] = { [direction === 1 ? "$gt" : "$lt"]: values[index] };
+      return clause;
+    }),
+  });
+
+  // Escape user input for use inside a RegExp
+  const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  // Escape text for use inside HTML
+  const escapeHtml = (text) =>
+    String(text).replace(/[&<>"']/g, (char) => ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;",
+    })[char]);
+
+  // Split a search string into "quoted phrases", plain terms and -excluded terms
+  const parseSearchQuery = (search = "") => {
+    const phrases = [];
+    const rest = search.replace(/"([^"]*)"/g, (match, phrase) => {
+      if (phrase.trim()) {
+        phrases.push(phrase.trim());
+      }
+      return " ";
+    });
+    const words = rest.split(/\s+/).filter(Boolean);
+    return {
+      phrases,
+      terms: words.filter((word) => !word.startsWith("-")),
+      excluded: words.filter((word) => word.startsWith("-")).map((word) => word.slice(1)),
+    };
+  };
+
+  // Wrap matches of the pattern in <mark>, escaping everything else
+  const highlightText = (text, pattern) => {
+    let result = "";
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+      result += escapeHtml(text.slice(last, match.index));
+      result += `<mark>${escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    return result + escapeHtml(text.slice(last));
+  };
+
+  // Highlighted title and description snippet for a search result
+  const buildSearchHighlights = (post, needles) => {
+    const words = needles.filter(Boolean).sort((a, b) => b.length - a.length);
+    const title = String(post.title || "");
+    const description = String(post.description || "");
+    if (!words.length) {
+      return {
+        title: escapeHtml(title),
+        snippet: escapeHtml(description.slice(0, SEARCH_SNIPPET_LENGTH)),
+      };
+    }
+
+    const pattern = new RegExp(words.map(escapeRegex).join("|"), "gi");
+    const firstMatch = description.search(new RegExp(pattern.source, "i"));
+    // Show some context before the first match
+    const start = Math.max(0, firstMatch - Math.floor(SEARCH_SNIPPET_LENGTH / 3));
+    const end = Math.min(description.length, start + SEARCH_SNIPPET_LENGTH);
+
+    return {
+      title: highlightText(title, pattern),
+      snippet:
+        (start > 0 ? "…" : "") +
+        highlightText(description.slice(start, end), pattern) +
+        (end < description.length ? "…" : ""),
+    };
+  };
+
+  // Aggregation stages that add the ranking fields used by POST_SORTS.
+  // Every score depends only on the post itself (not the current time), so cursors stay valid.
+  const buildPostRankingStages = (withRelevance) => [
+    {
+      $addFields: {
+        rankUp: { $ifNull: ["$upVote", 0] },
+        rankDown: { $ifNull: ["$downVote", 0] },
+        ...(withRelevance ? { relevance: { $meta: "textScore" } } : {}),
+      },
+    },
+    { $addFields: { netScore: { $subtract: ["$rankUp", "$rankDown"] } } },
+    {
+      $addFields: {
+        // sign(score) * log10(max(|score|, 1)) + seconds since HOT_EPOCH / 45000
+        hotScore: {
+          $add: [
+            {
+              $multiply: [
+                { $cmp: ["$netScore", 0] },
+                { $log10: { $max: [{ $abs: "$netScore" }, 1] } },
+              ],
+            },
+            {
+              $divide: [{ $subtract: ["$postTime", HOT_EPOCH] }, 45000 * 1000],
+            },
+          ],
+        },
+        // (up + down) ^ (minority / majority); 0 unless both sides voted
+        controversy: {
+          $cond: [
+            { $or: [{ $lte: ["$rankUp", 0] }, { $lte: ["$rankDown", 0] }] },
+            0,
+            {
+              $pow: [
+                { $add: ["$rankUp", "$rankDown"] },
+                {
+                  $cond: [
+                    { $gt: ["$rankDown", "$rankUp"] },
+                    { $divide: ["$rankUp", "$rankDown"] },
+                    { $divide: ["$rankDown", "$rankUp"] },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $unset: ["rankUp", "rankDown"] },
+  ];
+
+  // Normalize a tag name: trimmed, lowercase, words joined by hyphens
+  const normalizeTagName = (name) =>
+    String(name).trim().toLowerCase().replace(/\s+/g, "-");
+
+  // Map incoming tags (array or comma-separated string) onto canonical tag names
+  const resolveTags = async (rawTags) => {
+    const list = Array.isArray(rawTags) ? rawTags : String(rawTags || "").split(",");
+    const names = [...new Set(list.map(normalizeTagName).filter(Boolean))];
+    if (!names.length) {
+      return { tags: [], unknown: [] };
+    }
+
+    const known = await tagsCollection
+      .find({ $or: [{ name: { $in: names } }, { aliases: { $in: names } }] })
+      .toArray();
+    const canonical = new Map();
+    known.forEach((tag) => {
+      canonical.set(tag.name, tag.name);
+      (tag.aliases || []).forEach((alias) => canonical.set(alias, tag.name));
+    });
+
+    const unknown = names.filter((name) => !canonical.has(name));
+    const tags = names.map((name) => canonical.get(name) || name);
+    return { tags: [...new Set(tags)], unknown };
+  };
+
+  // Replace any of the given tag names on posts and tag follows with another tag
+  // (or just remove them). Returns the number of posts changed.
+  const retagPosts = async (fromNames, toName) => {
+    const names = fromNames.filter((name) => name !== toName);
+    if (!names.length) {
+      return 0;
+    }
+    if (toName) {
+      await postsCollection.updateMany(
+        { tags: { $in: names } },
+        { $addToSet: { tags: toName } }
+      );
+    }
+    const result = await postsCollection.updateMany(
+      { tags: { $in: names } },
+      { $pull: { tags: { $in: names } } }
+    );
+
+    // Followers of the old names follow the new one (once, even if they followed several)
+    const follows = { targetType: "tag", target: { $in: names } };
+    if (toName) {
+      const followers = await followsCollection.distinct("email", follows);
+      for (const email of followers) {
+        await followsCollection.updateOne(
+          { email, targetType: "tag", target: toName },
+          { $setOnInsert: { createdAt: new Date() } },
+          { upsert: true }
+        );
+      }
+    }
+    await followsCollection.deleteMany(follows);
+
+    return result.modifiedCount;
+  };
+
+  // Copy the listed fields of a document for an audit snapshot (null for no document)
+  const pickFields = (doc, fields) =>
+    doc
+      ? Object.fromEntries(
+          fields.filter((field) => doc[field] !== undefined).map((field) => [field, doc[field]])
+        )
+      : null;
+
+  const POST_AUDIT_FIELDS = ["title", "authorEmail", "status", "deletedBy", "deleteReason"];
+  const COMMENT_AUDIT_FIELDS = [
+    "postId",
+    "comment",
+    "authorEmail",
+    "deleted",
+    "deletedBy",
+    "deleteReason",
+    "held",
+  ];
+  const MEMBERSHIP_AUDIT_FIELDS = ["membership", "membershipPlanId", "membershipExpiresAt", "badge"];
+  const PAYMENT_AUDIT_FIELDS = ["email", "amount", "amountRefunded", "currency", "planId", "status"];
+
+  // Actor for changes that come from Stripe webhooks rather than a signed-in user
+  const STRIPE_AUDIT_ACTOR = { email: "stripe", role: "system" };
+
+  // Append an entry to the audit log (entries are never updated or deleted).
+  // Like notifications, failures are logged rather than failing the request.
+  const recordAudit = async (
+    req,
+    { action, targetType, targetId = null, before = null, after = null, actor = req.user }
+  ) => {
+    try {
+      await auditLogCollection.insertOne({
+        actorEmail: actor?.email || null,
+        actorRole: actor?.role || null,
+        action,
+        targetType,
+        targetId,
+        before,
+        after,
+        ip: req.ip || null,
+        userAgent: req.get("User-Agent") || null,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      console.error("Error writing audit log:", error);
+    }
+  };
+
+  // Check whether a user wants notifications of a type (every type is on until muted)
+  const wantsNotification = async (email, type) => {
+    const user = await usersCollection.findOne(
+      { email },
+      { projection: { notificationPreferences: 1 } }
+    );
+    return user?.notificationPreferences?.[type] !== false;
+  };
+
+  // Notify a user about something another user did. Notifications are a side
+  // effect of the request, so failures are logged rather than returned.
+  const notify = async (recipientEmail, type, { actor, ...fields } = {}) => {
+    try {
+      if (!recipientEmail || recipientEmail === actor?.email) {
+        return;
+      }
+      if (!(await wantsNotification(recipientEmail, type))) {
+        return;
+      }
+      await notificationsCollection.insertOne({
+        recipientEmail,
+        type,
+        actorEmail: actor?.email || null,
+        actorName: actor?.name || null,
+        ...fields,
+        read: false,
+        readAt: null,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      console.error("Error creating notification:", error);
+    }
+  };
+
+  // Record a voter's vote on a post or comment: a new vote is added, a different one
+  // replaces it and the same one again takes it back. The vote lives in votesCollection
+  // under a unique (voter, target) key and the counters only ever move by $inc, so
+  // concurrent votes can't double-count. Returns the fresh totals and the voter's
+  // current vote (null once taken back).
+  const castVote = async (targetType, target, voter, voteType) => {
+    const targetCollection = targetType === "comment" ? commentsCollection : postsCollection;
+    const key = { voterId: voter.uid, targetType, targetId: target._id };
+
+    let previous;
+    let current;
+    const withdrawn = await votesCollection.findOneAndDelete({ ...key, voteType });
+    if (withdrawn) {
+      previous = voteType;
+      current = null;
+    } else {
+      const now = new Date();
+      const upsertVote = () =>
+        votesCollection.findOneAndUpdate(
+          key,
+          {
+            $set: { voteType, voterEmail: voter.email, updatedAt: now },
+            $setOnInsert: { createdAt: now },
+          },
+          { upsert: true, returnDocument: "before" }
+        );
+      let before;
+      try {
+        before = await upsertVote();
+      } catch (error) {
+        // Two first votes raced on the upsert; the loser now finds the winner's vote
+        if (error.code !== 11000) {
+          throw error;
+        }
+        before = await upsertVote();
+      }
+      previous = before ? before.voteType : null;
+      current = voteType;
+    }
+
+    const inc = {};
+    if (previous !== current) {
+      if (previous) {
+        inc[VOTE_COUNTERS[previous]] = -1;
+      }
+      if (current) {
+        inc[VOTE_COUNTERS[current]] = 1;
+      }
+    }
+    const projection = { upVote: 1, downVote: 1 };
+    const totals = Object.keys(inc).length
+      ? await targetCollection.findOneAndUpdate(
+          { _id: target._id },
+          { $inc: inc },
+          { returnDocument: "after", projection }
+        )
+      : await targetCollection.findOne({ _id: target._id }, { projection });
+
+    return {
+      upVote: totals?.upVote || 0,
+      downVote: totals?.downVote || 0,
+      userVote: current,
+    };
+  };
+
+  // Notify a post's author about a vote. Unread vote notifications on the same post
+  // are folded into one with a running count instead of piling up.
+  const notifyVote = async (post, voteType, actor) => {
+    try {
+      const recipientEmail = post.authorEmail;
+      if (!recipientEmail || recipientEmail === actor.email) {
+        return;
+      }
+      if (!(await wantsNotification(recipientEmail, "vote"))) {
+        return;
+      }
+      const now = new Date();
+      await notificationsCollection.updateOne(
+        { recipientEmail, type: "vote", postId: post._id, read: false },
+        {
+          $set: {
+            actorEmail: actor.email,
+            actorName: actor.name || null,
+            voteType,
+            message: `${actor.name || "Someone"} voted on "${post.title}"`,
+            createdAt: now,
+          },
+          $inc: { count: 1 },
+          $setOnInsert: { readAt: null },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error("Error creating vote notification:", error);
+    }
+  };
+
+  // Users an announcement audience reaches ("all" reaches everyone)
+  const getAudienceFilter = (audience) => {
+    switch (audience) {
+      case "free":
+        return { membership: { $nin: PAID_MEMBERSHIPS } };
+      case "premium":
+        return { membership: { $in: PAID_MEMBERSHIPS } };
+      case "admin":
+        return { role: "admin" };
+      default:
+        return {};
+    }
+  };
+
+  // Notify an announcement's audience. Scheduled announcements get notifications
+  // dated at their publish time, which stay hidden until then.
+  const notifyAnnouncement = async (announcement) => {
+    try {
+      const recipients = await usersCollection
+        .find(
+          {
+            ...getAudienceFilter(announcement.audience),
+            email: { $ne: announcement.authorEmail },
+            "notificationPreferences.announcement": { $ne: false },
+          },
+          { projection: { email: 1 } }
+        )
+        .toArray();
+      if (!recipients.length) {
+        return;
+      }
+      await notificationsCollection.insertMany(
+        recipients.map(({ email }) => ({
+          recipientEmail: email,
+          type: "announcement",
+          actorEmail: announcement.authorEmail,
+          actorName: announcement.authorName,
+          announcementId: announcement._id,
+          message: announcement.title,
+          read: false,
+          readAt: null,
+          createdAt: announcement.publishAt || new Date(),
+        }))
+      );
+    } catch (error) {
+      console.error("Error creating announcement notifications:", error);
+    }
+  };
+
+  // Reasons to hold new content for review instead of publishing it: the same
+  // text from the same author within the duplicate window, or a new account
+  // posting a lot of links. findDuplicate gets the window start and resolves
+  // to a truthy value when a duplicate exists. Admins are never held.
+  const getSpamReasons = async (user, text, findDuplicate) => {
+    if (user.role === "admin") {
+      return [];
+    }
+
+    const reasons = [];
+    if (await findDuplicate(new Date(Date.now() - SPAM_DUPLICATE_WINDOW_MS))) {
+      reasons.push("duplicate_content");
+    }
+
+    const links = (text.match(LINK_PATTERN) || []).length;
+    // Accounts from before createdAt was recorded date from their _id
+    const createdAt = user.createdAt || user._id?.getTimestamp();
+    const accountAge = createdAt ? Date.now() - new Date(createdAt).getTime() : 0;
+    if (links > SPAM_NEW_ACCOUNT_MAX_LINKS && accountAge < SPAM_NEW_ACCOUNT_AGE_MS) {
+      reasons.push("links_from_new_account");
+    }
+    return reasons;
+  };
+
+  // Get statistics for admin dashboard
+  app.get("/api/statistics", verifyFBToken, verifyAdmin, async (req, res) => {
+    try {
+      const postsCount = await postsCollection.countDocuments({ status: "active" });
+      const commentsCount = await commentsCollection.countDocuments({ deleted: { $ne: true } });
+      const usersCount = await usersCollection.countDocuments({});
+
+      res.json({
+        posts: postsCount,
+        comments: commentsCount,
+        users: usersCount
+      });
+    } catch (error) {
+      console.error("Error fetching statistics:", error);
+      sendError(res, 500, "Failed to fetch statistics");
+    }
+  });
+
+  // Start of the day or week (weeks start on Monday) a date falls in, in UTC
+  const truncateDate = (date, interval) => {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (interval === "week") {
+      day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    }
+    return day;
+  };
+
+  // Group stage key that puts a date field into day or week buckets (matches truncateDate)
+  const bucketBy = (field, interval) => ({
+    $dateTrunc: { date: `$${field}`, unit: interval, timezone: "UTC", startOfWeek: "monday" },
+  });
+
+  // Payments that brought in money (refunded ones count minus the refund)
+  const revenuePaymentMatch = { status: { $in: ["succeeded", "refunded"] } };
+  const netPaymentAmount = { $subtract: ["$amount", { $ifNull: ["$amountRefunded", 0] }] };
+  // "premium" is the old name for gold
+  const paymentMembershipType = {
+    $cond: [
+      { $eq: ["$membershipType", "premium"] },
+      "gold",
+      { $ifNull: ["$membershipType", "gold"] },
+    ],
+  };
+
+  // Count documents per bucket; returns { [bucket ISO date]: count }
+  const countPerBucket = async (collection, field, match, from, to, interval) => {
+    const rows = await collection
+      .aggregate([
+        { $match: { ...match, [field]: { $gte: from, $lt: to } } },
+        { $group: { _id: bucketBy(field, interval), count: { $sum: 1 } } },
+      ])
+      .toArray();
+    return Object.fromEntries(rows.map((row) => [row._id.toISOString(), row.count]));
+  };
+
+  // Emails whose first paid membership falls in [from, to), and the users who
+  // could have converted then (signed up before `to` and never paid before `from`)
+  const getConversion = async (from, to) => {
+    const [firstPayments] = await paymentsCollection
+      .aggregate([
+        { $match: { ...revenuePaymentMatch, email: { $ne: null } } },
+        { $group: { _id: "$email", firstPaidAt: { $min: "$date" } } },
+        {
+          $group: {
+            _id: null,
+            converted: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $gte: ["$firstPaidAt", from] }, { $lt: ["$firstPaidAt", to] }] },
+                  1,
+                  0,
+                ],
+              },
+            },
+            paidBefore: { $sum: { $cond: [{ $lt: ["$firstPaidAt", from] }, 1, 0] } },
+          },
+        },
+      ])
+      .toArray();
+
+    // Users from before sign-up dates were recorded count as existing all along
+    const users = await usersCollection.countDocuments({
+      $or: [{ createdAt: { $lt: to } }, { createdAt: { $exists: false } }],
+    });
+    const converted = firstPayments?.converted || 0;
+    const eligible = Math.max(users - (firstPayments?.paidBefore || 0), 0);
+    return {
+      converted,
+      eligible,
+      rate: eligible ? Math.round((converted / eligible) * 10000) / 10000 : 0,
+    };
+  };
+
+  // Totals for a period, used for the current and the previous period
+  const getAnalyticsTotals = async (from, to) => {
+    const range = { $gte: from, $lt: to };
+    const [posts, comments, users, votes, [revenue], conversion] = await Promise.all([
+      postsCollection.countDocuments({ status: "active", postTime: range }),
+      commentsCollection.countDocuments({ deleted: { $ne: true }, held: { $ne: true }, createdAt: range }),
+      usersCollection.countDocuments({ createdAt: range }),
+      voteEventsCollection.countDocuments({ createdAt: range }),
+      paymentsCollection
+        .aggregate([
+          { $match: { ...revenuePaymentMatch, date: range } },
+          { $group: { _id: null, total: { $sum: netPaymentAmount } } },
+        ])
+        .toArray(),
+      getConversion(from, to),
+    ]);
+    return { posts, comments, users, votes, revenue: revenue?.total || 0, conversion };
+  };
+
+  // Relative change from the previous period (null when there's nothing to compare with)
+  const percentChange = (current, previous) =>
+    previous ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+
+  const analyticsQuery = {
+    from: { type: "date", label: "From" },
+    to: { type: "date", label: "To" },
+    interval: { type: "string", enum: ["day", "week"], label: "Interval" },
+  };
+
+  // Get activity and revenue over time, with top contributors and tags and a
+  // comparison with the previous period of the same length (for admin).
+  // Defaults to the last 30 days in daily buckets; amounts are in cents.
+  app.get("/api/analytics", verifyFBToken, verifyAdmin, validate({ query: analyticsQuery }), async (req, res) => {
+    try {
+      const interval = req.query.interval || "day";
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+
+      if (from >= to) {
+        return sendError(res, 400, "From must be before to", {
+          code: "INVALID_REQUEST",
+          fields: { from: "From must be before to" },
+        });
+      }
+      if (to - from > ANALYTICS_MAX_RANGE_DAYS * DAY_MS) {
+        const message = `The range can be at most ${ANALYTICS_MAX_RANGE_DAYS} days`;
+        return sendError(res, 400, message, { code: "INVALID_REQUEST", fields: { from: message } });
+      }
+
+      const previousFrom = new Date(from.getTime() - (to - from));
+      const periodPosts = { status: "active", postTime: { $gte: from, $lt: to } };
+      const periodComments = {
+        deleted: { $ne: true },
+        held: { $ne: true },
+        createdAt: { $gte: from, $lt: to },
+      };
+
+      const [posts, comments, users, votes, revenueRows, topPosters, topCommenters, topTags, totals, previous] =
+        await Promise.all([
+          countPerBucket(postsCollection, "postTime", { status: "active" }, from, to, interval),
+          countPerBucket(commentsCollection, "createdAt", { deleted: { $ne: true }, held: { $ne: true } }, from, to, interval),
+          countPerBucket(usersCollection, "createdAt", {}, from, to, interval),
+          countPerBucket(voteEventsCollection, "createdAt", {}, from, to, interval),
+          paymentsCollection
+            .aggregate([
+              { $match: { ...revenuePaymentMatch, date: { $gte: from, $lt: to } } },
+              {
+                $group: {
+                  _id: { bucket: bucketBy("date", interval), membershipType: paymentMembershipType },
+                  amount: { $sum: netPaymentAmount },
+                },
+              },
+            ])
+            .toArray(),
+          postsCollection
+            .aggregate([
+              { $match: periodPosts },
+              { $group: { _id: "$authorEmail", name: { $last: "$authorName" }, count: { $sum: 1 } } },
+            ])
+            .toArray(),
+          commentsCollection
+            .aggregate([
+              { $match: periodComments },
+              { $group: { _id: "$authorEmail", name: { $last: "$authorName" }, count: { $sum: 1 } } },
+            ])
+            .toArray(),
+          postsCollection
+            .aggregate([
+              { $match: periodPosts },
+              { $unwind: "$tags" },
+              { $group: { _id: "$tags", count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: 10 },
+              { $project: { _id: 0, name: "$_id", count: 1 } },
+            ])
+            .toArray(),
+          getAnalyticsTotals(from, to),
+          getAnalyticsTotals(previousFrom, from),
+        ]);
+
+      // One entry per bucket, including empty ones
+      const series = [];
+      for (
+        let bucket = truncateDate(from, interval);
+        bucket < to;
+        bucket = new Date(bucket.getTime() + (interval === "week" ? 7 : 1) * DAY_MS)
+      ) {
+        const key = bucket.toISOString();
+        const revenue = { total: 0 };
+        revenueRows
+          .filter((row) => row._id.bucket.toISOString() === key)
+          .forEach((row) => {
+            revenue[row._id.membershipType] = row.amount;
+            revenue.total += row.amount;
+          });
+        series.push({
+          date: bucket,
+          posts: posts[key] || 0,
+          comments: comments[key] || 0,
+          users: users[key] || 0,
+          votes: votes[key] || 0,
+          revenue,
+        });
+      }
+
+      // Posts and comments together decide the top contributors
+      const contributors = {};
+      for (const [rows, field] of [[topPosters, "posts"], [topCommenters, "comments"]]) {
+        for (const row of rows) {
+          if (!row._id) {
+            continue;
+          }
+          contributors[row._id] = contributors[row._id] || {
+            email: row._id,
+            name: row.name,
+            posts: 0,
+            comments: 0,
+          };
+          contributors[row._id][field] = row.count;
+        }
+      }
+      const topContributors = Object.values(contributors)
+        .sort((a, b) => b.posts + b.comments - (a.posts + a.comments) || a.email.localeCompare(b.email))
+        .slice(0, 10);
+
+      const change = {};
+      for (const metric of ["posts", "comments", "users", "votes", "revenue"]) {
+        change[metric] = percentChange(totals[metric], previous[metric]);
+      }
+      change.conversionRate = percentChange(totals.conversion.rate, previous.conversion.rate);
+
+      res.json({
+        range: { from, to, interval },
+        currency: MEMBERSHIP_PLANS[0].currency,
+        series,
+        totals,
+        previous: { ...previous, range: { from: previousFrom, to: from } },
+        change,
+        topContributors,
+        topTags,
+      });
+    } catch (error) {
+      console.error("Error fetching analytics:", error);
+      sendError(res, 500, "Failed to fetch analytics");
+    }
+  });
+
+  // Get total post count
+  app.get("/posts/count", async (req, res) => {
+    try {
+      const total = await postsCollection.countDocuments({ status: "active" });
+      res.json({ total });
+    } catch (error) {
+      console.error("Error getting post count:", error);
+      sendError(res, 500, "Failed to get post count");
+    }
+  });
+
+  // Get popular tags
+  app.get("/api/tags/popular", async (req, res) => {
+    try {
+      const popularTags = await postsCollection.aggregate([
+        { $match: { status: "active" } },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 },
+        { $project: { _id: 0, name: "$_id", count: 1 } }
+      ]).toArray();
+
+      res.json(popularTags);
+    } catch (error) {
+      console.error("Error fetching popular tags:", error);
+      sendError(res, 500, "Failed to fetch popular tags");
+    }
+  });
+
+  const postListQuery = {
+    ...paginationQuery,
+    search: { type: "string", maxLength: 200, label: "Search" },
+    tag: { type: "string", maxLength: 50, label: "Tag" },
+    author: { type: "string", maxLength: 100, label: "Author" },
+    startDate: { type: "date", label: "Start date" },
+    endDate: { type: "date", label: "End date" },
+    sort: { type: "string", enum: Object.keys(POST_SORTS), label: "Sort" },
+    cursor: { type: "string", maxLength: 500, label: "Cursor" },
+  };
+
+  // Stream newly created posts for the global feed (Server-Sent Events)
+  app.get("/events", (req, res) => {
+    openEventStream(req, res, "feed");
+  });
+
+  // Get all posts with search, filter, sort, and pagination (offset via page, or cursor via next)
+  app.get("/posts", optionalAuth, validate({ query: postListQuery }), async (req, res) => {
+    try {
+      const {
+        search = "",
+        tag = "",
+        author = "",
+        startDate = "",
+        endDate = "",
+        sort = "new",
+        page = 1,
+        limit = 10,
+        cursor = ""
+      } = req.query;
+
+      // Posts in the trash are never listed
+      const query = { status: "active" };
+
+      // Full-text search (title, description and tags); supports "phrases" and -excluded terms
+      if (search) {
+        query.$text = { $search: search };
+      }
+
+      // Tag filter
+      if (tag) {
+        const { tags: [canonicalTag] } = await resolveTags([tag]);
+        query.tags = canonicalTag || tag;
+      }
+
+      // Author filter
+      if (author) {
+        query.authorName = { $regex: escapeRegex(author), $options: "i" };
+      }
+
+      // Date range filter
+      if (startDate || endDate) {
+        query.postTime = {};
+        if (startDate) {
+          query.postTime.$gte = new Date(startDate);
+        }
+        if (endDate) {
+          query.postTime.$lte = new Date(endDate);
+        }
+      }
+
+      // Pick the ranking; relevance only makes sense with a search
+      const sortKey = sort === "relevance" && !search ? "new" : sort;
+      const sortFields = POST_SORTS[sortKey];
+
+      const pageSize = Math.min(Math.max(Number(limit) || 10, 1), 100);
+      const currentPage = Math.max(Number(page) || 1, 1);
+
+      // Total matches for the filters (ignores the cursor position)
+      const total = await postsCollection.countDocuments(query);
+
+      const pipeline = [
+        { $match: query },
+        ...buildPostRankingStages(Boolean(search)),
+      ];
+
+      // Cursor-based pagination picks up right after the last post seen;
+      // otherwise fall back to offset-based pagination with page
+      if (cursor) {
+        const values = decodeCursor(cursor, sortFields);
+        if (!values) {
+          return sendError(res, 400, "Invalid cursor");
+        }
+        pipeline.push({ $match: buildCursorQuery(sortFields, values) });
+      }
+      pipeline.push({ $sort: Object.fromEntries(sortFields) });
+      if (!cursor) {
+        pipeline.push({ $skip: (currentPage - 1) * pageSize });
+      }
+      // Fetch one extra to know whether another page exists
+      pipeline.push({ $limit: pageSize + 1 });
+
+      const posts = await postsCollection.aggregate(pipeline).toArray();
+      const hasMore = posts.length > pageSize;
+      const paginatedPosts = posts.slice(0, pageSize);
+
+      // Highlight matched words in titles and description snippets
+      const { phrases, terms } = parseSearchQuery(search);
+      const highlighted = search
+        ? paginatedPosts.map((post) => ({
+            ...post,
+            highlights: buildSearchHighlights(post, [...phrases, ...terms]),
+          }))
+        : paginatedPosts;
+      const data = await markBookmarks(highlighted, req.user);
+
+      // Return the response in a simpler format that matches client expectations
+      res.status(200).json({
+        data,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        currentPage: cursor ? null : currentPage,
+        hasMore,
+        next: hasMore
+          ? encodeCursor(paginatedPosts[paginatedPosts.length - 1], sortFields)
+          : null,
+      });
+    } catch (error) {
+      console.error("Error fetching posts:", error);
+      sendError(res, 500, "Failed to fetch posts");
+    }
+  });
+
+
+  // Create a new post (free users are limited to FREE_USER_POST_LIMIT posts)
+  app.post("/posts", verifyFBToken, requireGoodStanding, rateLimit("posting"), validate({ body: postSchema }), async (req, res) => {
+    try {
+      const { title, description, tags, authorName, authorImage } = req.body;
+      const authorEmail = req.user.email;
+
+      const { tags: postTags, unknown } = await resolveTags(tags);
+      if (REJECT_UNKNOWN_TAGS && unknown.length) {
+        return sendError(res, 422, `Unknown tags: ${unknown.join(", ")}`, {
+          fields: { tags: `Unknown tags: ${unknown.join(", ")}` },
+          unknownTags: unknown,
+        });
+      }
+
+      // Check if user can create a new post
+      const canPost = await canUserCreatePost(authorEmail);
+      if (!canPost.canPost) {
+        return sendError(
+          res,
+          403,
+          `Free users are limited to ${FREE_USER_POST_LIMIT} posts. Upgrade to Gold membership for unlimited posts.`,
+          {
+            code: "POST_LIMIT_REACHED",
+            limitReached: true,
+            postCount: canPost.postCount,
+            limit: canPost.limit,
+          }
+        );
+      }
+
+      const spamReasons = await getSpamReasons(req.user, `${title}\n${description}`, (since) =>
+        postsCollection.countDocuments(
+          { authorEmail, title, description, postTime: { $gte: since } },
+          { limit: 1 }
+        )
+      );
+
+      const now = new Date();
+      const newPost = {
+        title,
+        description,
+        tags: postTags,
+        authorName: authorName || req.user.name,
+        authorEmail,
+        authorImage: authorImage || req.user.photoURL || "/default-avatar.png",
+        postTime: now,
+        updatedAt: now,
+        upVote: 0,
+        downVote: 0,
+        commentCount: 0,
+        views: 0,
+        // Posts caught by the spam checks wait for an admin to approve them
+        status: spamReasons.length ? "held" : "active",
+        ...(spamReasons.length && { heldReasons: spamReasons }),
+        revision: 1,
+        edited: false,
+      };
+
+      const result = await postsCollection.insertOne(newPost);
+      if (!spamReasons.length) {
+        publishEvent("feed", "post.created", { ...newPost, _id: result.insertedId });
+      }
+
+      // Update the post count in the response
+      const updatedCount = await postsCollection.countDocuments({
+        authorEmail,
+        status: { $ne: "deleted" },
+      });
+
+      res.status(spamReasons.length ? 202 : 201).json({
+        message: spamReasons.length
+          ? "Your post is being held for review"
+          : "Post created successfully",
+        held: spamReasons.length > 0,
+        postId: result.insertedId,
+        post: { ...newPost, _id: result.insertedId },
+        postCount: updatedCount,
+        limit: FREE_USER_POST_LIMIT,
+      });
+    } catch (error) {
+      console.error("Error creating post:", error);
+      sendError(res, 500, "Failed to create post");
+    }
+  });
+
+  const deleteReasonSchema = {
+    reason: { type: "string", maxLength: 500, default: null, label: "Reason" },
+  };
+
+  // Move a post to the trash (only by the author or an admin)
+  app.delete("/posts/:id", verifyFBToken, validate({ params: { id: objectIdParam("Post ID") }, body: deleteReasonSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(id),
+        status: { $ne: "deleted" },
+      });
+
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      if (!isPostAuthor(post, req.user) && req.user.role !== "admin") {
+        return sendError(res, 403, "You can only delete your own posts");
+      }
+
+      // Held posts were never public, so there's nothing to keep
+      if (post.status === "held") {
+        await purgePost(post);
+        await recordAudit(req, {
+          action: "post.purge",
+          targetType: "post",
+          targetId: post._id,
+          before: pickFields(post, POST_AUDIT_FIELDS),
+        });
+        return res.json({ message: "Post deleted successfully" });
+      }
+
+      // Comments stay with the post so a restore brings them back too
+      const deletedAt = await softDeletePost(post, req.user.email, req.body.reason);
+      if (!deletedAt) {
+        return sendError(res, 404, "Post not found");
+      }
+      await recordAudit(req, {
+        action: "post.delete",
+        targetType: "post",
+        targetId: post._id,
+        before: pickFields(post, POST_AUDIT_FIELDS),
+        after: { status: "deleted", deletedBy: req.user.email, deleteReason: req.body.reason },
+      });
+
+      res.json({
+        message: "Post deleted successfully",
+        restorableUntil: getPurgeDate({ deletedAt }),
+      });
+    } catch (error) {
+      console.error("Error deleting post:", error);
+      sendError(res, 500, "Failed to delete post");
+    }
+  });
+
+  // Restore a deleted post within the retention window
+  app.post("/posts/:id/restore", verifyFBToken, requireGoodStanding, validate({ params: { id: objectIdParam("Post ID") } }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(id),
+        status: "deleted",
+      });
+      if (!post) {
+        return sendError(res, 404, "Deleted post not found");
+      }
+
+      if (!canRestore(post, req.user)) {
+        return sendError(res, 403, "Only an admin can restore a post someone else deleted");
+      }
+      if (getPurgeDate(post) <= new Date()) {
+        return sendError(res, 410, "The restore window for this post has passed", {
+          code: "RESTORE_WINDOW_PASSED",
+        });
+      }
+
+      // Restoring counts toward the free post limit like creating would
+      if (req.user.role !== "admin") {
+        const canPost = await canUserCreatePost(post.authorEmail);
+        if (!canPost.canPost) {
+          return sendError(
+            res,
+            403,
+            `Free users are limited to ${FREE_USER_POST_LIMIT} posts. Upgrade to Gold membership to restore this post.`,
+            {
+              code: "POST_LIMIT_REACHED",
+              limitReached: true,
+              postCount: canPost.postCount,
+              limit: canPost.limit,
+            }
+          );
+        }
+      }
+
+      if (!(await restorePost(post))) {
+        return sendError(res, 404, "Deleted post not found");
+      }
+      await recordAudit(req, {
+        action: "post.restore",
+        targetType: "post",
+        targetId: post._id,
+        before: pickFields(post, POST_AUDIT_FIELDS),
+        after: { status: "active" },
+      });
+
+      res.json({ message: "Post restored successfully" });
+    } catch (error) {
+      console.error("Error restoring post:", error);
+      sendError(res, 500, "Failed to restore post");
+    }
+  });
+
+  // Fields of a post that can be edited (and are kept in its revisions)
+  const EDITABLE_POST_FIELDS = ["title", "description", "tags"];
+
+  const postEditSchema = {
+    params: { id: objectIdParam("Post ID") },
+    body: optionalFields({
+      title: postSchema.title,
+      description: postSchema.description,
+      tags: postSchema.tags,
+    }),
+  };
+
+  // Edit a post's title, description or tags (only by the author or an admin).
+  // The version being replaced is stored in postRevisionsCollection first.
+  app.patch("/posts/:id", verifyFBToken, requireGoodStanding, rateLimit("posting"), validate(postEditSchema), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!Object.keys(req.body).length) {
+        return sendError(res, 422, "Nothing to update", {
+          fields: { title: "Send a title, description or tags to update" },
+        });
+      }
+
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(id),
+        status: { $ne: "deleted" },
+      });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+      if (!isPostAuthor(post, req.user) && req.user.role !== "admin") {
+        return sendError(res, 403, "You can only edit your own posts");
+      }
+
+      const updates = { ...req.body };
+      if (updates.tags) {
+        const { tags, unknown } = await resolveTags(updates.tags);
+        if (REJECT_UNKNOWN_TAGS && unknown.length) {
+          return sendError(res, 422, `Unknown tags: ${unknown.join(", ")}`, {
+            fields: { tags: `Unknown tags: ${unknown.join(", ")}` },
+            unknownTags: unknown,
+          });
+        }
+        updates.tags = tags;
+      }
+
+      // Skip fields that wouldn't change
+      for (const field of Object.keys(updates)) {
+        if (JSON.stringify(updates[field]) === JSON.stringify(post[field] ?? [])) {
+          delete updates[field];
+        }
+      }
+      if (!Object.keys(updates).length) {
+        return res.json({ message: "Post is unchanged", post });
+      }
+
+      // Edits go through the same spam checks as new posts; a flagged edit takes
+      // the post down until an admin approves it
+      const title = updates.title ?? post.title;
+      const description = updates.description ?? post.description;
+      const spamReasons =
+        "title" in updates || "description" in updates
+          ? await getSpamReasons(req.user, `${title}\n${description}`, (since) =>
+              postsCollection.countDocuments(
+                {
+                  _id: { $ne: post._id },
+                  authorEmail: post.authorEmail,
+                  title,
+                  description,
+                  updatedAt: { $gte: since },
+                },
+                { limit: 1 }
+              )
+            )
+          : [];
+      if (spamReasons.length) {
+        updates.status = "held";
+        updates.heldReasons = spamReasons;
+      }
+
+      const version = post.revision || 1;
+      const now = new Date();
+      try {
+        await postRevisionsCollection.insertOne({
+          postId: post._id,
+          version,
+          title: post.title,
+          description: post.description,
+          tags: post.tags || [],
+          editedBy: post.editedBy || post.authorEmail || null,
+          editedAt: post.updatedAt || post.postTime,
+          replacedBy: req.user.email,
+          replacedAt: now,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return sendError(res, 409, "The post was edited by someone else, reload and try again");
+        }
+        throw error;
+      }
+
+      // Only apply the edit on top of the version that was just stored
+      const updatedPost = await postsCollection.findOneAndUpdate(
+        { _id: post._id, revision: post.revision ?? null },
+        {
+          $set: {
+            ...updates,
+            revision: version + 1,
+            edited: true,
+            editedBy: req.user.email,
+            updatedAt: now,
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!updatedPost) {
+        await postRevisionsCollection.deleteOne({ postId: post._id, version, replacedAt: now });
+        return sendError(res, 409, "The post was edited by someone else, reload and try again");
+      }
+
+      res.status(spamReasons.length ? 202 : 200).json({
+        message: spamReasons.length
+          ? "Your post is being held for review"
+          : "Post updated successfully",
+        held: updatedPost.status === "held",
+        post: updatedPost,
+      });
+    } catch (error) {
+      console.error("Error editing post:", error);
+      sendError(res, 500, "Failed to edit post");
+    }
+  });
+
+  // Load a post for its revision routes (only the author or an admin can see them)
+  const findPostForRevisions = async (req, res) => {
+    const post = await postsCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!post) {
+      sendError(res, 404, "Post not found");
+      return null;
+    }
+    if (!isPostAuthor(post, req.user) && req.user.role !== "admin") {
+      sendError(res, 403, "You can only view the history of your own posts");
+      return null;
+    }
+    return post;
+  };
+
+  // The current version of a post in the same shape as its stored revisions
+  const toCurrentRevision = (post) => ({
+    postId: post._id,
+    version: post.revision || 1,
+    title: post.title,
+    description: post.description,
+    tags: post.tags || [],
+    editedBy: post.editedBy || post.authorEmail || null,
+    editedAt: post.updatedAt || post.postTime,
+    current: true,
+  });
+
+  // Line-level diff of two texts (longest common subsequence).
+  // Returns [{ type: "equal" | "removed" | "added", line }] in reading order, or null
+  // when the changed part is too large to diff (see diffChangedLines).
+  const diffLines = (before = "", after = "") => {
+    const toLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+    const a = toLines(before);
+    const b = toLines(after);
+
+    // Lines both versions start and end with can't be part of a change
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let end = 0;
+    while (
+      end < a.length - start &&
+      end < b.length - start &&
+      a[a.length - 1 - end] === b[b.length - 1 - end]
+    ) {
+      end++;
+    }
+    const common = (from, to) => a.slice(from, to).map((line) => ({ type: "equal", line }));
+    const head = common(0, start);
+    const tail = common(a.length - end, a.length);
+    const middle = diffChangedLines(a.slice(start, a.length - end), b.slice(start, b.length - end));
+    return middle && [...head, ...middle, ...tail];
+  };
+
+  // Line diff of the changed middle of two versions, from their longest common
+  // subsequence. The table is a.length x b.length, so returns null when that's
+  // over DIFF_MAX_CELLS.
+  const diffChangedLines = (a, b) => {
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+      return null;
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () =>
+      new Array(b.length + 1).fill(0)
+    );
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        changes.push({ type: "equal", line: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        changes.push({ type: "removed", line: a[i++] });
+      } else {
+        changes.push({ type: "added", line: b[j++] });
+      }
+    }
+    while (i < a.length) {
+      changes.push({ type: "removed", line: a[i++] });
+    }
+    while (j < b.length) {
+      changes.push({ type: "added", line: b[j++] });
+    }
+    return changes;
+  };
+
+  // Get a post's edit history, newest first (only by the author or an admin)
+  app.get("/posts/:id/revisions", verifyFBToken, validate({ params: { id: objectIdParam("Post ID") } }), async (req, res) => {
+    try {
+      const post = await findPostForRevisions(req, res);
+      if (!post) {
+        return;
+      }
+
+      const revisions = await postRevisionsCollection
+        .find({ postId: post._id })
+        .sort({ version: -1 })
+        .toArray();
+
+      res.json({
+        data: [toCurrentRevision(post), ...revisions],
+        total: revisions.length + 1,
+        currentVersion: post.revision || 1,
+      });
+    } catch (error) {
+      console.error("Error fetching post revisions:", error);
+      sendError(res, 500, "Failed to fetch post revisions");
+    }
+  });
+
+  const revisionDiffSchema = {
+    params: { id: objectIdParam("Post ID") },
+    query: {
+      from: { type: "integer", required: true, min: 1, label: "From version" },
+      to: { type: "integer", min: 1, label: "To version" },
+    },
+  };
+
+  // Compare two versions of a post line by line (to defaults to the current version)
+  app.get("/posts/:id/revisions/diff", verifyFBToken, validate(revisionDiffSchema), async (req, res) => {
+    try {
+      const post = await findPostForRevisions(req, res);
+      if (!post) {
+        return;
+      }
+
+      const currentVersion = post.revision || 1;
+      const from = Number(req.query.from);
+      const to = req.query.to ? Number(req.query.to) : currentVersion;
+
+      const findVersion = (version) =>
+        version === currentVersion
+          ? toCurrentRevision(post)
+          : postRevisionsCollection.findOne({ postId: post._id, version });
+      const [before, after] = await Promise.all([findVersion(from), findVersion(to)]);
+      if (!before || !after) {
+        return sendError(res, 404, `Version ${before ? to : from} not found`);
+      }
+
+      const changes = {};
+      for (const field of EDITABLE_POST_FIELDS) {
+        const toText = (revision) =>
+          field === "tags" ? (revision.tags || []).join("\n") : revision[field];
+        changes[field] = diffLines(toText(before), toText(after));
+        if (!changes[field]) {
+          return sendError(res, 422, "These versions differ too much to compare", {
+            code: "DIFF_TOO_LARGE",
+            fields: { [field]: "Too many changed lines to compare" },
+          });
+        }
+      }
+
+      res.json({
+        postId: post._id,
+        from: { version: before.version, editedBy: before.editedBy, editedAt: before.editedAt },
+        to: { version: after.version, editedBy: after.editedBy, editedAt: after.editedAt },
+        changed: EDITABLE_POST_FIELDS.filter((field) =>
+          changes[field].some((change) => change.type !== "equal")
+        ),
+        changes,
+      });
+    } catch (error) {
+      console.error("Error comparing post revisions:", error);
+      sendError(res, 500, "Failed to compare post revisions");
+    }
+  });
+
+  // Get all tags
+  app.get("/tags", async (req, res) => {
+    try {
+      const tags = await tagsCollection.find({}).sort({ name: 1 }).toArray();
+      res.json(tags);
+    } catch (error) {
+      console.error("Error fetching tags:", error);
+      sendError(res, 500, "Failed to fetch tags");
+    }
+  });
+
+  // Find names already taken by another tag (as a name or an alias)
+  const findTagConflicts = async (names, excludeId) => {
+    const query = { $or: [{ name: { $in: names } }, { aliases: { $in: names } }] };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    const conflicting = await tagsCollection.find(query).toArray();
+    return names.filter((name) =>
+      conflicting.some((tag) => tag.name === name || (tag.aliases || []).includes(name))
+    );
+  };
+
+  // Load a tag by (already validated) id
+  const findTagById = (id) => tagsCollection.findOne({ _id: new ObjectId(id) });
+
+  const tagIdParams = { id: objectIdParam("Tag ID") };
+  const tagNameRule = { type: "string", maxLength: 50, label: "Tag name" };
+  const tagAliasesRule = { type: "array", maxItems: 20, items: tagNameRule, label: "Aliases" };
+  const tagDescriptionRule = { type: "string", maxLength: 500, label: "Description" };
+  const tagCreateSchema = {
+    name: { ...tagNameRule, required: true },
+    description: { ...tagDescriptionRule, default: "" },
+    aliases: { ...tagAliasesRule, default: [] },
+  };
+
+  // Create a tag (for admin)
+  app.post("/api/tags", verifyFBToken, verifyAdmin, validate({ body: tagCreateSchema }), async (req, res) => {
+    try {
+      const { name, description, aliases } = req.body;
+
+      const tagName = normalizeTagName(name);
+      const tagAliases = [...new Set(aliases.map(normalizeTagName).filter(Boolean))]
+        .filter((alias) => alias !== tagName);
+
+      const conflicts = await findTagConflicts([tagName, ...tagAliases]);
+      if (conflicts.length) {
+        return sendError(res, 409, `Tag names already in use: ${conflicts.join(", ")}`);
+      }
+
+      const tag = {
+        name: tagName,
+        description,
+        aliases: tagAliases,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const result = await tagsCollection.insertOne(tag);
+
+      // Posts that used an alias now point at the canonical tag
+      await retagPosts(tagAliases, tagName);
+
+      res.status(201).json({ ...tag, _id: result.insertedId });
+    } catch (error) {
+      console.error("Error creating tag:", error);
+      sendError(res, 500, "Failed to create tag");
+    }
+  });
+
+  // Update a tag's description and aliases (for admin)
+  app.patch("/api/tags/:id", verifyFBToken, verifyAdmin, validate({ params: tagIdParams, body: { description: tagDescriptionRule, aliases: tagAliasesRule } }), async (req, res) => {
+    try {
+      const { description, aliases } = req.body;
+
+      const tag = await findTagById(req.params.id);
+      if (!tag) {
+        return sendError(res, 404, "Tag not found");
+      }
+
+      const update = { updatedAt: new Date() };
+      if (description !== undefined) {
+        update.description = description;
+      }
+
+      if (aliases !== undefined) {
+        update.aliases = [...new Set(aliases.map(normalizeTagName).filter(Boolean))]
+          .filter((alias) => alias !== tag.name);
+
+        const conflicts = await findTagConflicts(update.aliases, tag._id);
+        if (conflicts.length) {
+          return sendError(res, 409, `Tag names already in use: ${conflicts.join(", ")}`);
+        }
+      }
+
+      const updated = await tagsCollection.findOneAndUpdate(
+        { _id: tag._id },
+        { $set: update },
+        { returnDocument: "after" }
+      );
+
+      if (update.aliases) {
+        await retagPosts(update.aliases, tag.name);
+      }
+
+      res.json(updated);
+    } catch (error) {
+      console.error("Error updating tag:", error);
+      sendError(res, 500, "Failed to update tag");
+    }
+  });
+
+  // Rename a tag and rewrite it on existing posts (for admin)
+  app.post("/api/tags/:id/rename", verifyFBToken, verifyAdmin, validate({ params: tagIdParams, body: { name: { ...tagNameRule, required: true, label: "New tag name" } } }), async (req, res) => {
+    try {
+      const { name } = req.body;
+
+      const tag = await findTagById(req.params.id);
+      if (!tag) {
+        return sendError(res, 404, "Tag not found");
+      }
+
+      const newName = normalizeTagName(name);
+      if (newName === tag.name) {
+        return res.json({ tag, postsUpdated: 0 });
+      }
+
+      const conflicts = await findTagConflicts([newName], tag._id);
+      if (conflicts.length) {
+        return sendError(res, 409, `Tag name already in use: ${newName}`);
+      }
+
+      // The old name stays around as an alias so old links keep working
+      const aliases = [...new Set([...(tag.aliases || []), tag.name])]
+        .filter((alias) => alias !== newName);
+      const updated = await tagsCollection.findOneAndUpdate(
+        { _id: tag._id },
+        { $set: { name: newName, aliases, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      const postsUpdated = await retagPosts([tag.name], newName);
+
+      res.json({ tag: updated, postsUpdated });
+    } catch (error) {
+      console.error("Error renaming tag:", error);
+      sendError(res, 500, "Failed to rename tag");
+    }
+  });
+
+  // Merge a tag into another one and rewrite it on existing posts (for admin)
+  app.post("/api/tags/:id/merge", verifyFBToken, verifyAdmin, validate({ params: tagIdParams, body: { targetId: objectIdParam("Target tag") } }), async (req, res) => {
+    try {
+      const { targetId } = req.body;
+
+      const source = await findTagById(req.params.id);
+      if (!source) {
+        return sendError(res, 404, "Tag not found");
+      }
+
+      const target = await findTagById(targetId);
+      if (!target) {
+        return sendError(res, 404, "Target tag not found");
+      }
+
+      if (source._id.equals(target._id)) {
+        return sendError(res, 400, "Cannot merge a tag into itself");
+      }
+
+      const sourceNames = [source.name, ...(source.aliases || [])];
+      const aliases = [...new Set([...(target.aliases || []), ...sourceNames])]
+        .filter((alias) => alias !== target.name);
+
+      await tagsCollection.deleteOne({ _id: source._id });
+      const updated = await tagsCollection.findOneAndUpdate(
+        { _id: target._id },
+        { $set: { aliases, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      const postsUpdated = await retagPosts(sourceNames, target.name);
+
+      res.json({ tag: updated, postsUpdated });
+    } catch (error) {
+      console.error("Error merging tags:", error);
+      sendError(res, 500, "Failed to merge tags");
+    }
+  });
+
+  // Delete a tag and remove it from existing posts (for admin)
+  app.delete("/api/tags/:id", verifyFBToken, verifyAdmin, validate({ params: tagIdParams }), async (req, res) => {
+    try {
+      const tag = await findTagById(req.params.id);
+      if (!tag) {
+        return sendError(res, 404, "Tag not found");
+      }
+
+      await tagsCollection.deleteOne({ _id: tag._id });
+      const postsUpdated = await retagPosts([tag.name, ...(tag.aliases || [])], null);
+
+      res.json({ message: "Tag deleted successfully", postsUpdated });
+    } catch (error) {
+      console.error("Error deleting tag:", error);
+      sendError(res, 500, "Failed to delete tag");
+    }
+  });
+
+  // Audiences an announcement can target ("gold" is stored as "premium")
+  const getAnnouncementAudiences = (user) => {
+    if (!user) {
+      return ["all"];
+    }
+    const audiences = ["all"];
+    audiences.push(isPaidMember(user) ? "premium" : "free");
+    if (user.role === "admin") {
+      audiences.push("admin");
+    }
+    return audiences;
+  };
+
+  const announcementSchema = {
+    title: { type: "string", required: true, maxLength: 200, label: "Title" },
+    description: { type: "string", required: true, maxLength: 5000, label: "Description" },
+    publishAt: { type: "date", nullable: true, label: "Publish time" },
+    expiresAt: { type: "date", nullable: true, label: "Expiry time" },
+    pinned: { type: "boolean", label: "Pinned" },
+    audience: { type: "string", enum: [...ANNOUNCEMENT_AUDIENCES, "gold"], label: "Audience" },
+  };
+
+  // Validated announcement body, with the "gold" audience stored as "premium"
+  const toAnnouncementFields = (body) =>
+    body.audience === "gold" ? { ...body, audience: "premium" } : body;
+
+  // Get scheduled/active/expired state of an announcement
+  const getAnnouncementStatus = (announcement, now = new Date()) => {
+    if (announcement.publishAt && announcement.publishAt > now) {
+      return "scheduled";
+    }
+    if (announcement.expiresAt && announcement.expiresAt <= now) {
+      return "expired";
+    }
+    return "active";
+  };
+
+  // The announcements currently active for a user (or an anonymous reader), newest
+  // first with pinned ones on top, each with the user's read/dismissed state
+  const findActiveAnnouncements = async (user) => {
+    const now = new Date();
+    const announcements = await announcementsCollection
+      .find({
+        $and: [
+          { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ audience: null }, { audience: { $in: getAnnouncementAudiences(user) } }] },
+        ],
+      })
+      .sort({ pinned: -1, publishAt: -1, createdAt: -1 })
+      .toArray();
+
+    const states = user
+      ? await announcementStatesCollection
+          .find({
+            email: user.email,
+            announcementId: { $in: announcements.map((a) => a._id) },
+          })
+          .toArray()
+      : [];
+    const stateById = new Map(
+      states.map((state) => [state.announcementId.toString(), state])
+    );
+
+    return announcements.map((announcement) => {
+      const state = stateById.get(announcement._id.toString());
+      return {
+        ...announcement,
+        read: Boolean(state?.readAt),
+        dismissed: Boolean(state?.dismissedAt),
+      };
+    });
+  };
+
+  // Get the currently active announcements for the caller
+  app.get("/announcements", optionalAuth, async (req, res) => {
+    try {
+      res.json(await findActiveAnnouncements(req.user));
+    } catch (error) {
+      console.error("Error fetching announcements:", error);
+      sendError(res, 500, "Failed to fetch announcements");
+    }
+  });
+
+  // Get the number of active announcements the current user hasn't read or dismissed
+  app.get("/announcements/unread-count", verifyFBToken, async (req, res) => {
+    try {
+      const announcements = await findActiveAnnouncements(req.user);
+      res.json({
+        unreadCount: announcements.filter((a) => !a.read && !a.dismissed).length,
+      });
+    } catch (error) {
+      console.error("Error counting unread announcements:", error);
+      sendError(res, 500, "Failed to count unread announcements");
+    }
+  });
+
+  // Mark an announcement as read or dismissed for the current user
+  const setAnnouncementState = (field) => async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const announcement = await announcementsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!announcement) {
+        return sendError(res, 404, "Announcement not found");
+      }
+
+      const now = new Date();
+      // Dismissing also counts as reading
+      const update = field === "dismissedAt"
+        ? { $set: { dismissedAt: now }, $min: { readAt: now } }
+        : { $min: { readAt: now } };
+
+      await announcementStatesCollection.updateOne(
+        { announcementId: announcement._id, email: req.user.email },
+        update,
+        { upsert: true }
+      );
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Error updating announcement state:", error);
+      sendError(res, 500, "Failed to update announcement");
+    }
+  };
+
+  const announcementIdParams = { id: objectIdParam("Announcement ID") };
+
+  app.post("/announcements/:id/read", verifyFBToken, validate({ params: announcementIdParams }), setAnnouncementState("readAt"));
+  app.post("/announcements/:id/dismiss", verifyFBToken, validate({ params: announcementIdParams }), setAnnouncementState("dismissedAt"));
+
+  // Get all announcements including scheduled and expired ones (for admin)
+  app.get("/api/announcements", verifyFBToken, verifyAdmin, async (req, res) => {
+    try {
+      const now = new Date();
+      const announcements = await announcementsCollection
+        .find({})
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.json(
+        announcements.map((announcement) => ({
+          ...announcement,
+          status: getAnnouncementStatus(announcement, now),
+        }))
+      );
+    } catch (error) {
+      console.error("Error fetching announcements:", error);
+      sendError(res, 500, "Failed to fetch announcements");
+    }
+  });
+
+  // Create an announcement (for admin)
+  app.post("/api/announcements", verifyFBToken, verifyAdmin, validate({ body: announcementSchema }), async (req, res) => {
+    try {
+      const fields = toAnnouncementFields(req.body);
+
+      const now = new Date();
+      const announcement = {
+        title: fields.title,
+        description: fields.description,
+        authorName: req.user.name,
+        authorEmail: req.user.email,
+        authorImage: req.user.photoURL || "/default-avatar.svg",
+        publishAt: fields.publishAt || now,
+        expiresAt: fields.expiresAt || null,
+        pinned: fields.pinned || false,
+        audience: fields.audience || "all",
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      if (announcement.expiresAt && announcement.expiresAt <= announcement.publishAt) {
+        return sendError(res, 422, "Expiry time must be after the publish time", {
+          fields: { expiresAt: "Expiry time must be after the publish time" },
+        });
+      }
+
+      const result = await announcementsCollection.insertOne(announcement);
+      await notifyAnnouncement({ ...announcement, _id: result.insertedId });
+      res.status(201).json({ ...announcement, _id: result.insertedId });
+    } catch (error) {
+      console.error("Error creating announcement:", error);
+      sendError(res, 500, "Failed to create announcement");
+    }
+  });
+
+  // Edit an announcement (for admin)
+  app.patch("/api/announcements/:id", verifyFBToken, verifyAdmin, validate({ params: announcementIdParams, body: optionalFields(announcementSchema) }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const fields = toAnnouncementFields(req.body);
+
+      const existing = await announcementsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+      if (!existing) {
+        return sendError(res, 404, "Announcement not found");
+      }
+
+      const merged = { ...existing, ...fields };
+      if (merged.expiresAt && merged.publishAt && merged.expiresAt <= merged.publishAt) {
+        return sendError(res, 422, "Expiry time must be after the publish time", {
+          fields: { expiresAt: "Expiry time must be after the publish time" },
+        });
+      }
+
+      const announcement = await announcementsCollection.findOneAndUpdate(
+        { _id: existing._id },
+        { $set: { ...fields, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      // Re-target notifications when the audience changes, otherwise just follow the publish time
+      if (announcement.audience !== existing.audience) {
+        await notificationsCollection.deleteMany({ announcementId: existing._id });
+        await notifyAnnouncement(announcement);
+      } else if (announcement.publishAt?.getTime() !== existing.publishAt?.getTime()) {
+        await notificationsCollection.updateMany(
+          { announcementId: existing._id, read: false },
+          { $set: { createdAt: announcement.publishAt || new Date() } }
+        );
+      }
+
+      res.json(announcement);
+    } catch (error) {
+      console.error("Error updating announcement:", error);
+      sendError(res, 500, "Failed to update announcement");
+    }
+  });
+
+  // Delete an announcement (for admin)
+  app.delete("/api/announcements/:id", verifyFBToken, verifyAdmin, validate({ params: announcementIdParams }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const result = await announcementsCollection.deleteOne({
+        _id: new ObjectId(id),
+      });
+      if (result.deletedCount === 0) {
+        return sendError(res, 404, "Announcement not found");
+      }
+
+      await announcementStatesCollection.deleteMany({
+        announcementId: new ObjectId(id),
+      });
+      await notificationsCollection.deleteMany({
+        announcementId: new ObjectId(id),
+      });
+
+      res.json({ message: "Announcement deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting announcement:", error);
+      sendError(res, 500, "Failed to delete announcement");
+    }
+  });
+
+  // Who is reading: signed-in users by email, anonymous readers by the session id
+  // the client sends (X-Session-Id) or, failing that, a hash of IP and user agent
+  const getViewerKey = (req) => {
+    if (req.user) {
+      return `user:${req.user.email}`;
+    }
+    const sessionId = req.get("X-Session-Id");
+    if (sessionId && sessionId.length <= 100) {
+      return `session:${sessionId}`;
+    }
+    const fingerprint = crypto
+      .createHash("sha256")
+      .update(`${req.ip}|${req.get("User-Agent") || ""}`)
+      .digest("hex")
+      .slice(0, 32);
+    return `anon:${fingerprint}`;
+  };
+
+  // Count a read of a post. The same viewer counts once per VIEW_DEDUP_WINDOW_MS;
+  // returns the post's updated view counters, or null if this read wasn't counted.
+  // Authors reading their own posts aren't counted.
+  const recordPostView = async (req, post) => {
+    if (req.user && isPostAuthor(post, req.user)) {
+      return null;
+    }
+
+    const viewerKey = getViewerKey(req);
+    const now = new Date();
+    let firstView = false;
+    try {
+      // Matches only when the viewer's last counted view is outside the window; a recent
+      // view makes the upsert collide with the unique index instead
+      const result = await postViewersCollection.updateOne(
+        {
+          postId: post._id,
+          viewerKey,
+          lastViewedAt: { $lte: new Date(now.getTime() - VIEW_DEDUP_WINDOW_MS) },
+        },
+        { $set: { lastViewedAt: now }, $setOnInsert: { firstViewedAt: now } },
+        { upsert: true }
+      );
+      firstView = result.upsertedCount > 0;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    const counters = await postsCollection.findOneAndUpdate(
+      { _id: post._id },
+      { $inc: { views: 1, ...(firstView && { uniqueViewers: 1 }) } },
+      { returnDocument: "after", projection: { _id: 0, views: 1, uniqueViewers: 1 } }
+    );
+    await postViewsCollection.insertOne({ postId: post._id, viewerKey, viewedAt: now });
+    return counters;
+  };
+
+  const trendingQuery = {
+    window: { type: "string", enum: Object.keys(TRENDING_WINDOWS), label: "Window" },
+    limit: { type: "integer", min: 1, max: 50, label: "Limit" },
+  };
+
+  // Get posts ranked by recent activity: views, votes and comments within the window
+  // (1h, 24h or 7d), weighted by TRENDING_WEIGHTS
+  app.get("/posts/trending", optionalAuth, validate({ query: trendingQuery }), async (req, res) => {
+    try {
+      const { window = "24h", limit = 10 } = req.query;
+      const since = new Date(Date.now() - TRENDING_WINDOWS[window]);
+
+      const countByPost = (collection, match) =>
+        collection
+          .aggregate([
+            { $match: match },
+            { $group: { _id: "$postId", count: { $sum: 1 } } },
+          ])
+          .toArray();
+      const [views, votes, comments] = await Promise.all([
+        countByPost(postViewsCollection, { viewedAt: { $gte: since } }),
+        countByPost(voteEventsCollection, { createdAt: { $gte: since }, targetType: { $ne: "comment" } }),
+        countByPost(commentsCollection, {
+          createdAt: { $gte: since },
+          deleted: { $ne: true },
+          held: { $ne: true },
+        }),
+      ]);
+
+      const activity = new Map();
+      for (const [rows, field] of [[views, "views"], [votes, "votes"], [comments, "comments"]]) {
+        for (const row of rows) {
+          const key = row._id.toString();
+          const entry = activity.get(key) || { postId: row._id, views: 0, votes: 0, comments: 0 };
+          entry[field] = row.count;
+          activity.set(key, entry);
+        }
+      }
+      const ranked = [...activity.values()]
+        .map((entry) => ({
+          ...entry,
+          score:
+            entry.views * TRENDING_WEIGHTS.views +
+            entry.votes * TRENDING_WEIGHTS.votes +
+            entry.comments * TRENDING_WEIGHTS.comments,
+        }))
+        .sort((a, b) => b.score - a.score);
+
+      // Rank a few extra in case some of the top posts are no longer public
+      const candidates = ranked.slice(0, Number(limit) * 2);
+      const posts = await postsCollection
+        .find({
+          _id: { $in: candidates.map((entry) => new ObjectId(entry.postId)) },
+          status: "active",
+        })
+        .toArray();
+      const postsById = new Map(posts.map((post) => [post._id.toString(), post]));
+
+      const trending = candidates
+        .filter((entry) => postsById.has(entry.postId.toString()))
+        .slice(0, Number(limit))
+        .map(({ postId, ...stats }) => ({ ...postsById.get(postId.toString()), trending: stats }));
+
+      res.json({ data: await markBookmarks(trending, req.user), window, since });
+    } catch (error) {
+      console.error("Error fetching trending posts:", error);
+      sendError(res, 500, "Failed to fetch trending posts");
+    }
+  });
+
+  // Get single post by ID (deleted and held posts are only visible to their author and admins)
+  app.get("/posts/:id", optionalAuth, validate({ params: { id: objectIdParam("Post ID") } }), async (req, res) => {
+    try {
+      const postId = req.params.id;
+
+      const post = await postsCollection.findOne({ _id: new ObjectId(postId) });
+      if (
+        !post ||
+        (post.status !== "active" &&
+          !(req.user && (isPostAuthor(post, req.user) || req.user.role === "admin")))
+      ) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      // Only public reads count as views
+      if (post.status === "active") {
+        try {
+          Object.assign(post, await recordPostView(req, post));
+        } catch (error) {
+          console.error("Error recording post view:", error);
+        }
+      }
+
+      const [data] = await markBookmarks([post], req.user);
+      res.json(data);
+    } catch (error) {
+      console.error("Error fetching post:", error);
+      sendError(res, 500, "Failed to fetch post");
+    }
+  });
+
+  const viewHistorySchema = {
+    params: { id: objectIdParam("Post ID") },
+    query: { days: { type: "integer", min: 1, max: VIEW_HISTORY_DAYS, label: "Days" } },
+  };
+
+  // Get daily views and unique viewers of a post (only for its author or an admin)
+  app.get("/posts/:id/views", verifyFBToken, validate(viewHistorySchema), async (req, res) => {
+    try {
+      const days = Number(req.query.days) || 30;
+
+      const post = await postsCollection.findOne({ _id: new ObjectId(req.params.id) });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+      if (!isPostAuthor(post, req.user) && req.user.role !== "admin") {
+        return sendError(res, 403, "You can only see view statistics for your own posts");
+      }
+
+      const today = truncateDate(new Date(), "day");
+      const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+      const rows = await postViewsCollection
+        .aggregate([
+          { $match: { postId: post._id, viewedAt: { $gte: from } } },
+          {
+            $group: {
+              _id: { day: bucketBy("viewedAt", "day"), viewerKey: "$viewerKey" },
+              views: { $sum: 1 },
+            },
+          },
+          { $group: { _id: "$_id.day", views: { $sum: "$views" }, uniqueViewers: { $sum: 1 } } },
+        ])
+        .toArray();
+      const byDay = new Map(rows.map((row) => [row._id.toISOString(), row]));
+
+      const history = [];
+      for (let day = from; day <= today; day = new Date(day.getTime() + DAY_MS)) {
+        const row = byDay.get(day.toISOString());
+        history.push({
+          date: day,
+          views: row?.views || 0,
+          uniqueViewers: row?.uniqueViewers || 0,
+        });
+      }
+
+      res.json({
+        postId: post._id,
+        totalViews: post.views || 0,
+        uniqueViewers: post.uniqueViewers || 0,
+        history,
+      });
+    } catch (error) {
+      console.error("Error fetching post views:", error);
+      sendError(res, 500, "Failed to fetch post views");
+    }
+  });
+
+  const commentListQuery = {
+    parentId: { type: "objectId", label: "Parent comment" },
+    sort: { type: "string", enum: Object.keys(COMMENT_SORTS), label: "Sort" },
+    cursor: { type: "string", maxLength: 500, label: "Cursor" },
+    limit: paginationQuery.limit,
+  };
+
+  // Get comments for a post (top-level, or replies to parentId), cursor-paginated
+  app.get("/posts/:id/comments", validate({ params: { id: objectIdParam("Post ID") }, query: commentListQuery }), async (req, res) => {
+    try {
+      const postId = req.params.id;
+      const { parentId = "", sort = "oldest", cursor = "", limit = 20 } = req.query;
+
+      const sortFields = COMMENT_SORTS[sort];
+
+      const post = await postsCollection.findOne(
+        { _id: new ObjectId(postId), status: "active" },
+        { projection: { _id: 1 } }
+      );
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      const pageSize = Math.min(Math.max(Number(limit) || 20, 1), 100);
+      // Deleted comments only show up (as placeholders) while they hold replies in place
+      const filters = [
+        { postId: post._id, parentId: parentId ? new ObjectId(parentId) : null },
+        { $or: [{ deleted: { $ne: true } }, { replyCount: { $gt: 0 } }] },
+        { held: { $ne: true } },
+      ];
+
+      if (cursor) {
+        const values = decodeCursor(cursor, sortFields);
+        if (!values) {
+          return sendError(res, 400, "Invalid cursor");
+        }
+        filters.push(buildCursorQuery(sortFields, values));
+      }
+      const query = { $and: filters };
+
+      // Fetch one extra to know whether another page exists
+      const comments = await commentsCollection
+        .find(query)
+        .sort(Object.fromEntries(sortFields))
+        .limit(pageSize + 1)
+        .toArray();
+
+      const hasMore = comments.length > pageSize;
+      const data = comments.slice(0, pageSize);
+
+      res.json({
+        data: data.map(toCommentPlaceholder),
+        next: hasMore ? encodeCursor(data[data.length - 1], sortFields) : null,
+        hasMore,
+      });
+    } catch (error) {
+      console.error("Error fetching comments:", error);
+      sendError(res, 500, "Failed to fetch comments");
+    }
+  });
+
+  // Stream live comment and vote updates for a post (Server-Sent Events)
+  app.get("/posts/:id/events", validate({ params: { id: objectIdParam("Post ID") } }), async (req, res) => {
+    try {
+      const post = await postsCollection.findOne(
+        { _id: new ObjectId(req.params.id), status: "active" },
+        { projection: { _id: 1 } }
+      );
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      openEventStream(req, res, `post:${post._id}`);
+    } catch (error) {
+      console.error("Error opening post event stream:", error);
+      sendError(res, 500, "Failed to open event stream");
+    }
+  });
+
+  // Make a stored comment count: update the post's and parent's counters, push the
+  // live event and notify the post author (and the author being replied to)
+  const publishComment = async (comment, post, parent) => {
+    const updatedPost = await postsCollection.findOneAndUpdate(
+      { _id: post._id },
+      { $inc: { commentCount: 1 } },
+      { returnDocument: "after", projection: { commentCount: 1 } }
+    );
+    if (parent) {
+      await commentsCollection.updateOne(
+        { _id: parent._id },
+        { $inc: { replyCount: 1 } }
+      );
+    }
+
+    publishEvent(`post:${post._id}`, "comment.created", {
+      comment,
+      commentCount: updatedPost?.commentCount ?? null,
+    });
+
+    const notification = {
+      actor: { email: comment.authorEmail, name: comment.authorName },
+      postId: post._id,
+      commentId: comment._id,
+    };
+    if (parent) {
+      await notify(parent.authorEmail, "reply", {
+        ...notification,
+        message: `${comment.authorName} replied to your comment on "${post.title}"`,
+      });
+    }
+    if (post.authorEmail !== parent?.authorEmail) {
+      await notify(post.authorEmail, "comment", {
+        ...notification,
+        message: `${comment.authorName} commented on "${post.title}"`,
+      });
+    }
+  };
+
+  // Add comment (or a reply, with parentId) to a post
+  app.post("/posts/:id/comments", verifyFBToken, requireGoodStanding, rateLimit("commenting"), validate({ params: { id: objectIdParam("Post ID") }, body: commentSchema }), async (req, res) => {
+    try {
+      const postId = req.params.id;
+      const { comment, authorName, authorImage, parentId } = req.body;
+
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(postId),
+        status: "active",
+      });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      let parent = null;
+      if (parentId) {
+        parent = await commentsCollection.findOne({
+          _id: new ObjectId(parentId),
+          postId: post._id,
+          held: { $ne: true },
+        });
+        if (!parent) {
+          return sendError(res, 404, "Parent comment not found");
+        }
+        if (parent.deleted) {
+          return sendError(res, 422, "You can't reply to a deleted comment", {
+            fields: { parentId: "You can't reply to a deleted comment" },
+          });
+        }
+        if ((parent.depth || 0) + 1 > MAX_COMMENT_DEPTH) {
+          const message = `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep`;
+          return sendError(res, 422, message, { fields: { parentId: message } });
+        }
+      }
+
+      const spamReasons = await getSpamReasons(req.user, comment, (since) =>
+        commentsCollection.countDocuments(
+          { authorEmail: req.user.email, comment, createdAt: { $gte: since } },
+          { limit: 1 }
+        )
+      );
+
+      const newComment = {
+        postId: post._id,
+        parentId: parent ? parent._id : null,
+        depth: parent ? (parent.depth || 0) + 1 : 0,
+        replyCount: 0,
+        upVote: 0,
+        downVote: 0,
+        comment,
+        authorName: authorName || req.user.name,
+        authorEmail: req.user.email,
+        authorImage: authorImage || req.user.photoURL || "/default-avatar.svg",
+        createdAt: new Date(),
+        ...(spamReasons.length && { held: true, heldReasons: spamReasons }),
+      };
+
+      const result = await commentsCollection.insertOne(newComment);
+      const savedComment = { ...newComment, _id: result.insertedId };
+
+      // Comments caught by the spam checks wait for an admin to approve them
+      if (spamReasons.length) {
+        return res.status(202).json({
+          ...savedComment,
+          message: "Your comment is being held for review",
+        });
+      }
+
+      await publishComment(savedComment, post, parent);
+
+      res.status(201).json(savedComment);
+    } catch (error) {
+      console.error("Error adding comment:", error);
+      sendError(res, 500, "Failed to add comment");
+    }
+  });
+  const commentParams = {
+    postId: objectIdParam("Post ID"),
+    commentId: objectIdParam("Comment ID"),
+  };
+
+  // Move a comment to the trash (only by post author, comment author or an admin)
+  app.delete("/posts/:postId/comments/:commentId", verifyFBToken, validate({ params: commentParams, body: deleteReasonSchema }), async (req, res) => {
+    try {
+      const { postId, commentId } = req.params;
+
+      // Check if user is the post author
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(postId),
+        status: { $ne: "deleted" },
+      });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        postId: post._id,
+        deleted: { $ne: true },
+      });
+      if (!comment) {
+        return sendError(res, 404, "Comment not found");
+      }
+
+      // Allow deletion if user is post author, comment author or an admin
+      if (
+        !isPostAuthor(post, req.user) &&
+        comment.authorEmail !== req.user.email &&
+        req.user.role !== "admin"
+      ) {
+        return sendError(res, 403, "You can only delete comments on your posts or your own comments");
+      }
+
+      // Held comments were never counted or shown, so there's nothing to keep
+      if (comment.held) {
+        await commentsCollection.deleteOne({ _id: comment._id, held: true });
+        await recordAudit(req, {
+          action: "comment.purge",
+          targetType: "comment",
+          targetId: comment._id,
+          before: pickFields(comment, COMMENT_AUDIT_FIELDS),
+        });
+        return res.json({ message: "Comment deleted successfully" });
+      }
+
+      // Also updates comment count on post
+      const deletedAt = await softDeleteComment(comment, req.user.email, req.body.reason);
+      if (!deletedAt) {
+        return sendError(res, 404, "Comment not found");
+      }
+      await recordAudit(req, {
+        action: "comment.delete",
+        targetType: "comment",
+        targetId: comment._id,
+        before: pickFields(comment, COMMENT_AUDIT_FIELDS),
+        after: { deleted: true, deletedBy: req.user.email, deleteReason: req.body.reason },
+      });
+
+      res.json({
+        message: "Comment deleted successfully",
+        restorableUntil: getPurgeDate({ deletedAt }),
+      });
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      sendError(res, 500, "Failed to delete comment");
+    }
+  });
+
+  // Restore a deleted comment within the retention window
+  app.post("/posts/:postId/comments/:commentId/restore", verifyFBToken, requireGoodStanding, validate({ params: commentParams }), async (req, res) => {
+    try {
+      const { postId, commentId } = req.params;
+
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(postId),
+        status: { $ne: "deleted" },
+      });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        postId: post._id,
+        deleted: true,
+        purgedAt: { $exists: false },
+      });
+      if (!comment) {
+        return sendError(res, 404, "Deleted comment not found");
+      }
+
+      if (!canRestore(comment, req.user)) {
+        return sendError(res, 403, "Only an admin can restore a comment someone else deleted");
+      }
+      if (getPurgeDate(comment) <= new Date()) {
+        return sendError(res, 410, "The restore window for this comment has passed", {
+          code: "RESTORE_WINDOW_PASSED",
+        });
+      }
+
+      if (!(await restoreComment(comment))) {
+        return sendError(res, 404, "Deleted comment not found");
+      }
+      await recordAudit(req, {
+        action: "comment.restore",
+        targetType: "comment",
+        targetId: comment._id,
+        before: pickFields(comment, COMMENT_AUDIT_FIELDS),
+        after: { deleted: false },
+      });
+
+      res.json({ message: "Comment restored successfully" });
+    } catch (error) {
+      console.error("Error restoring comment:", error);
+      sendError(res, 500, "Failed to restore comment");
+    }
+  });
+
+  const trashQuery = {
+    ...paginationQuery,
+    type: { type: "string", enum: ["posts", "comments"], label: "Type" },
+  };
+
+  // Get deleted posts or comments that can still be restored (admins see everyone's)
+  app.get("/api/trash", verifyFBToken, validate({ query: trashQuery }), async (req, res) => {
+    try {
+      const { type = "posts", page = 1, limit = 20 } = req.query;
+      const isAdmin = req.user.role === "admin";
+
+      const query =
+        type === "posts"
+          ? { status: "deleted" }
+          : { deleted: true, purgedAt: { $exists: false } };
+      if (!isAdmin) {
+        query.$or =
+          type === "posts"
+            ? [{ authorEmail: req.user.email }, { authorName: req.user.email }]
+            : [{ authorEmail: req.user.email }];
+      }
+
+      const collection = type === "posts" ? postsCollection : commentsCollection;
+      const skip = (Number(page) - 1) * Number(limit);
+      const total = await collection.countDocuments(query);
+      const items = await collection
+        .find(query)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .toArray();
+
+      res.json({
+        data: items.map((item) => ({
+          ...item,
+          restorableUntil: getPurgeDate(item),
+          canRestore: canRestore(item, req.user),
+        })),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+        currentPage: Number(page),
+        hasMore: skip + items.length < total,
+        retentionDays: TRASH_RETENTION_DAYS,
+      });
+    } catch (error) {
+      console.error("Error fetching trash:", error);
+      sendError(res, 500, "Failed to fetch trash");
+    }
+  });
+
+  const reportSchema = {
+    reason: { type: "string", required: true, maxLength: 1000, label: "Reason" },
+  };
+
+  // Store a report, rejecting repeats from the same reporter
+  const createReport = async (report) => {
+    try {
+      const newReport = {
+        ...report,
+        status: "pending",
+        resolution: null,
+        createdAt: new Date(),
+      };
+      const result = await reportsCollection.insertOne(newReport);
+      return { ...newReport, _id: result.insertedId };
+    } catch (error) {
+      // Duplicate key on (reporterEmail, targetType, targetId)
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Report a comment
+  app.post("/api/comments/:commentId/report", verifyFBToken, requireGoodStanding, rateLimit("reporting"), validate({ params: { commentId: objectIdParam("Comment ID") }, body: reportSchema }), async (req, res) => {
+    try {
+      const { commentId } = req.params;
+      const { reason } = req.body;
+      const reporterEmail = req.user.email;
+
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        deleted: { $ne: true },
+        held: { $ne: true },
+      });
+      if (!comment) {
+        return sendError(res, 404, "Comment not found");
+      }
+
+      const report = await createReport({
+        targetType: "comment",
+        targetId: comment._id,
+        postId: new ObjectId(comment.postId),
+        targetAuthorEmail: comment.authorEmail,
+        excerpt: comment.comment,
+        reporterEmail,
+        reason,
+      });
+      if (!report) {
+        return sendError(res, 409, "You have already reported this comment");
+      }
+
+      res.status(201).json({ message: "Comment reported successfully", report });
+    } catch (error) {
+      console.error("Error reporting comment:", error);
+      sendError(res, 500, "Failed to report comment");
+    }
+  });
+
+  // Report a post
+  app.post("/api/posts/:postId/report", verifyFBToken, requireGoodStanding, rateLimit("reporting"), validate({ params: { postId: objectIdParam("Post ID") }, body: reportSchema }), async (req, res) => {
+    try {
+      const { postId } = req.params;
+      const { reason } = req.body;
+      const reporterEmail = req.user.email;
+
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(postId),
+        status: "active",
+      });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      const report = await createReport({
+        targetType: "post",
+        targetId: post._id,
+        postId: post._id,
+        targetAuthorEmail: post.authorEmail || post.authorName,
+        excerpt: post.title,
+        reporterEmail,
+        reason,
+      });
+      if (!report) {
+        return sendError(res, 409, "You have already reported this post");
+      }
+
+      res.status(201).json({ message: "Post reported successfully", report });
+    } catch (error) {
+      console.error("Error reporting post:", error);
+      sendError(res, 500, "Failed to report post");
+    }
+  });
+
+  const reportListQuery = {
+    ...paginationQuery,
+    status: { type: "string", enum: [...REPORT_STATUSES, "all"], label: "Status" },
+    targetType: { type: "string", enum: ["post", "comment"], label: "Target type" },
+    action: { type: "string", enum: REPORT_ACTIONS, label: "Action" },
+  };
+
+  // Get reports for the moderation queue (for admin)
+  app.get("/api/reports", verifyFBToken, verifyAdmin, validate({ query: reportListQuery }), async (req, res) => {
+    try {
+      const {
+        status = "pending",
+        targetType = "",
+        action = "",
+        page = 1,
+        limit = 20,
+      } = req.query;
+
+      const query = {};
+      if (status !== "all") {
+        query.status = status;
+      }
+      if (targetType) {
+        query.targetType = targetType;
+      }
+      if (action) {
+        query["resolution.action"] = action;
+      }
+
+      const skip = (Number(page) - 1) * Number(limit);
+      const total = await reportsCollection.countDocuments(query);
+      const reports = await reportsCollection
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .toArray();
+
+      res.json({
+        data: reports,
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+        currentPage: Number(page),
+        hasMore: skip + reports.length < total,
+      });
+    } catch (error) {
+      console.error("Error fetching reports:", error);
+      sendError(res, 500, "Failed to fetch reports");
+    }
+  });
+
+  // Get a single report (for admin)
+  app.get("/api/reports/:reportId", verifyFBToken, verifyAdmin, validate({ params: { reportId: objectIdParam("Report ID") } }), async (req, res) => {
+    try {
+      const { reportId } = req.params;
+
+      const report = await reportsCollection.findOne({
+        _id: new ObjectId(reportId),
+      });
+      if (!report) {
+        return sendError(res, 404, "Report not found");
+      }
+
+      res.json(report);
+    } catch (error) {
+      console.error("Error fetching report:", error);
+      sendError(res, 500, "Failed to fetch report");
+    }
+  });
+
+  const resolveReportSchema = {
+    params: { reportId: objectIdParam("Report ID") },
+    body: {
+      action: { type: "string", required: true, enum: REPORT_ACTIONS, label: "Action" },
+      note: { type: "string", maxLength: 1000, default: "", label: "Note" },
+    },
+  };
+
+  // Resolve a report by dismissing it, deleting the content or warning the author (for admin)
+  app.patch("/api/reports/:reportId/resolve", verifyFBToken, verifyAdmin, validate(resolveReportSchema), async (req, res) => {
+    try {
+      const { reportId } = req.params;
+      const { action, note } = req.body;
+      const adminEmail = req.user.email;
+
+      const resolution = {
+        action,
+        note,
+        resolvedBy: adminEmail,
+        resolvedAt: new Date(),
+      };
+      const status = action === "dismiss" ? "dismissed" : "resolved";
+
+      // Claim the report first so two moderators can't act on it twice
+      const report = await reportsCollection.findOneAndUpdate(
+        { _id: new ObjectId(reportId), status: "pending" },
+        { $set: { status, resolution } },
+        { returnDocument: "after" }
+      );
+      if (!report) {
+        const exists = await reportsCollection.countDocuments({
+          _id: new ObjectId(reportId),
+        });
+        return exists
+          ? sendError(res, 409, "Report has already been resolved")
+          : sendError(res, 404, "Report not found");
+      }
+
+      if (action === "delete_content") {
+        const reason = note || `Reported: ${report.reason}`;
+        if (report.targetType === "post") {
+          const post = await postsCollection.findOne({ _id: report.targetId });
+          if (post) {
+            await softDeletePost(post, adminEmail, reason);
+          }
+        } else {
+          const comment = await commentsCollection.findOne({
+            _id: report.targetId,
+          });
+          if (comment) {
+            await softDeleteComment(comment, adminEmail, reason);
+          }
+        }
+
+        // Other open reports on the same content are settled by the deletion
+        await reportsCollection.updateMany(
+          {
+            targetType: report.targetType,
+            targetId: report.targetId,
+            status: "pending",
+          },
+          { $set: { status, resolution } }
+        );
+      }
+
+      if (action === "warn_author" && report.targetAuthorEmail) {
+        await usersCollection.updateOne(
+          { email: report.targetAuthorEmail },
+          {
+            $push: {
+              warnings: {
+                reportId: report._id,
+                reason: note || report.reason,
+                issuedBy: adminEmail,
+                issuedAt: resolution.resolvedAt,
+              },
+            },
+          }
+        );
+      }
+
+      await recordAudit(req, {
+        action: "report.resolve",
+        targetType: report.targetType,
+        targetId: report.targetId,
+        before: { reportId: report._id, status: "pending", reason: report.reason },
+        after: { reportId: report._id, status, resolution },
+      });
+
+      res.json({ message: "Report resolved successfully", report });
+    } catch (error) {
+      console.error("Error resolving report:", error);
+      sendError(res, 500, "Failed to resolve report");
+    }
+  });
+
+  const heldListQuery = {
+    ...paginationQuery,
+    type: { type: "string", enum: ["posts", "comments"], label: "Type" },
+  };
+
+  // Get posts or comments held by the spam checks (for admin)
+  app.get("/api/moderation/held", verifyFBToken, verifyAdmin, validate({ query: heldListQuery }), async (req, res) => {
+    try {
+      const { type = "posts", page = 1, limit = 20 } = req.query;
+
+      const collection = type === "posts" ? postsCollection : commentsCollection;
+      const query = type === "posts" ? { status: "held" } : { held: true, deleted: { $ne: true } };
+
+      const skip = (Number(page) - 1) * Number(limit);
+      const total = await collection.countDocuments(query);
+      const items = await collection
+        .find(query)
+        .sort({ _id: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .toArray();
+
+      res.json({
+        data: items,
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+        currentPage: Number(page),
+        hasMore: skip + items.length < total,
+      });
+    } catch (error) {
+      console.error("Error fetching held content:", error);
+      sendError(res, 500, "Failed to fetch held content");
+    }
+  });
+
+  const heldReviewSchema = {
+    params: {
+      type: { type: "string", required: true, enum: ["posts", "comments"], label: "Type" },
+      id: objectIdParam("Item ID"),
+      decision: { type: "string", required: true, enum: ["approve", "reject"], label: "Decision" },
+    },
+  };
+
+  // Approve (publish) or reject (remove) held content (for admin).
+  // Held content was never public, so rejecting it removes it outright.
+  app.post("/api/moderation/held/:type/:id/:decision", verifyFBToken, verifyAdmin, validate(heldReviewSchema), async (req, res) => {
+    try {
+      const { type, id, decision } = req.params;
+      const review = { reviewedBy: req.user.email, reviewedAt: new Date() };
+
+      if (type === "posts") {
+        const post = await postsCollection.findOne({ _id: new ObjectId(id), status: "held" });
+        if (!post) {
+          return sendError(res, 404, "Held post not found");
+        }
+
+        if (decision === "reject") {
+          await purgePost(post);
+          await recordAudit(req, {
+            action: "post.reject",
+            targetType: "post",
+            targetId: post._id,
+            before: pickFields(post, [...POST_AUDIT_FIELDS, "heldReasons"]),
+          });
+          return res.json({ message: "Post rejected" });
+        }
+
+        const approved = await postsCollection.findOneAndUpdate(
+          { _id: post._id, status: "held" },
+          { $set: { status: "active", review } },
+          { returnDocument: "after" }
+        );
+        if (!approved) {
+          return sendError(res, 409, "Post has already been reviewed");
+        }
+        publishEvent("feed", "post.created", approved);
+        await recordAudit(req, {
+          action: "post.approve",
+          targetType: "post",
+          targetId: post._id,
+          before: pickFields(post, [...POST_AUDIT_FIELDS, "heldReasons"]),
+          after: { status: "active" },
+        });
+        return res.json({ message: "Post approved", post: approved });
+      }
+
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(id),
+        held: true,
+        deleted: { $ne: true },
+      });
+      if (!comment) {
+        return sendError(res, 404, "Held comment not found");
+      }
+
+      if (decision === "reject") {
+        await commentsCollection.deleteOne({ _id: comment._id, held: true });
+        await recordAudit(req, {
+          action: "comment.reject",
+          targetType: "comment",
+          targetId: comment._id,
+          before: pickFields(comment, [...COMMENT_AUDIT_FIELDS, "heldReasons"]),
+        });
+        return res.json({ message: "Comment rejected" });
+      }
+
+      const approved = await commentsCollection.findOneAndUpdate(
+        { _id: comment._id, held: true },
+        { $set: { held: false, review } },
+        { returnDocument: "after" }
+      );
+      if (!approved) {
+        return sendError(res, 409, "Comment has already been reviewed");
+      }
+
+      const post = await postsCollection.findOne({ _id: new ObjectId(comment.postId) });
+      const parent = comment.parentId
+        ? await commentsCollection.findOne({ _id: comment.parentId })
+        : null;
+      if (post) {
+        await publishComment(approved, post, parent);
+      }
+      await recordAudit(req, {
+        action: "comment.approve",
+        targetType: "comment",
+        targetId: comment._id,
+        before: pickFields(comment, [...COMMENT_AUDIT_FIELDS, "heldReasons"]),
+        after: { held: false },
+      });
+      res.json({ message: "Comment approved", comment: approved });
+    } catch (error) {
+      console.error("Error reviewing held content:", error);
+      sendError(res, 500, "Failed to review held content");
+    }
+  });
+
+  const voteBody = {
+    voteType: { type: "string", required: true, enum: Object.keys(VOTE_COUNTERS), label: "Vote type" },
+  };
+
+  // Vote on a post (voting the same way again takes the vote back)
+  app.post("/posts/:id/vote", verifyFBToken, requireGoodStanding, rateLimit("voting"), validate({ params: { id: objectIdParam("Post ID") }, body: voteBody }), async (req, res) => {
+    try {
+      const { voteType } = req.body;
+      if (!req.user.uid) {
+        return sendError(res, 401, "User not authenticated");
+      }
+
+      const post = await postsCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        status: "active",
+      });
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      const vote = await castVote("post", post, req.user, voteType);
+      publishEvent(`post:${post._id}`, "post.votes", {
+        postId: post._id,
+        upVote: vote.upVote,
+        downVote: vote.downVote,
+      });
+
+      // Taking a vote back doesn't notify anyone or count as vote activity
+      if (vote.userVote) {
+        await voteEventsCollection.insertOne({
+          targetType: "post",
+          postId: post._id,
+          voterEmail: req.user.email,
+          voteType,
+          createdAt: new Date(),
+        });
+        await notifyVote(post, voteType, req.user);
+      }
+
+      res.json(vote);
+    } catch (error) {
+      console.error("Error voting on post:", error);
+      sendError(res, 500, "Failed to vote on post");
+    }
+  });
+
+  // Vote on a comment (voting the same way again takes the vote back)
+  app.post("/posts/:postId/comments/:commentId/vote", verifyFBToken, requireGoodStanding, rateLimit("voting"), validate({ params: commentParams, body: voteBody }), async (req, res) => {
+    try {
+      const { postId, commentId } = req.params;
+      const { voteType } = req.body;
+      if (!req.user.uid) {
+        return sendError(res, 401, "User not authenticated");
+      }
+
+      const post = await postsCollection.findOne(
+        { _id: new ObjectId(postId), status: "active" },
+        { projection: { _id: 1 } }
+      );
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+      const comment = await commentsCollection.findOne({
+        _id: new ObjectId(commentId),
+        postId: post._id,
+        deleted: { $ne: true },
+        held: { $ne: true },
+      });
+      if (!comment) {
+        return sendError(res, 404, "Comment not found");
+      }
+
+      const vote = await castVote("comment", comment, req.user, voteType);
+      publishEvent(`post:${post._id}`, "comment.votes", {
+        commentId: comment._id,
+        upVote: vote.upVote,
+        downVote: vote.downVote,
+      });
+
+      if (vote.userVote) {
+        await voteEventsCollection.insertOne({
+          targetType: "comment",
+          postId: post._id,
+          commentId: comment._id,
+          voterEmail: req.user.email,
+          voteType,
+          createdAt: new Date(),
+        });
+      }
+
+      res.json(vote);
+    } catch (error) {
+      console.error("Error voting on comment:", error);
+      sendError(res, 500, "Failed to vote on comment");
+    }
+  });
+
+  const planRule = {
+    type: "string",
+    required: true,
+    enum: MEMBERSHIP_PLANS.map((plan) => plan.id),
+    label: "Plan",
+  };
+
+  const upgradeSchema = {
+    email: emailParam,
+    planId: { ...planRule, required: false, default: DEFAULT_MEMBERSHIP_PLAN_ID },
+  };
+
+  // Upgrade a user to Gold membership without a payment (for admin)
+  app.post("/api/users/upgrade", verifyFBToken, verifyAdmin, validate({ body: upgradeSchema }), async (req, res) => {
+    try {
+      const { email, planId } = req.body;
+      const plan = findMembershipPlan(planId);
+      const before = await usersCollection.findOne({ email });
+      const user = await grantMembership(email, plan);
+      await recordAudit(req, {
+        action: "user.upgrade",
+        targetType: "user",
+        targetId: user._id,
+        before: pickFields(before, MEMBERSHIP_AUDIT_FIELDS),
+        after: { ...pickFields(user, MEMBERSHIP_AUDIT_FIELDS), planId: plan.id },
+      });
+      res.json({ message: "User upgraded to Gold membership" });
+    } catch (error) {
+      console.error("Error upgrading user:", error);
+      sendError(res, 500, "Failed to upgrade user");
+    }
+  });
+  // Get the membership plans on sale
+  app.get("/api/membership/plans", (req, res) => {
+    res.json(MEMBERSHIP_PLANS);
+  });
+
+  // Stripe Account
+  // Create a payment intent for a membership plan; the amount always comes from the catalog
+  app.post("/create-payment-intent", verifyFBToken, rateLimit("payments"), validate({ body: { planId: planRule } }), async (req, res) => {
+    try {
+      const { planId } = req.body;
+      const { email } = req.user;
+
+      const plan = findMembershipPlan(planId);
+
+      const paymentIntent = await getStripe().paymentIntents.create({
+        amount: plan.price,
+        currency: plan.currency,
+        metadata: {
+          email,
+          planId: plan.id,
+          membershipType: plan.membershipType,
+          integration_check: "accept_a_payment"
+        }
+      });
+
+      res.send({
+        clientSecret: paymentIntent.client_secret,
+        plan
+      });
+    } catch (error) {
+      console.error("Error creating payment intent:", error);
+      sendError(res, 500, "Failed to create payment intent");
+    }
+  });
+
+  const paymentSchema = {
+    paymentIntentId: { type: "string", required: true, maxLength: 255, label: "Payment intent" },
+    planId: planRule,
+    date: { type: "date", label: "Date" },
+  };
+
+  // Store a client-reported payment; membership only changes once Stripe confirms it via the webhook
+  app.post("/api/payments", verifyFBToken, rateLimit("payments"), validate({ body: paymentSchema }), async (req, res) => {
+    try {
+      const { paymentIntentId, planId, date } = req.body;
+      const { email } = req.user;
+
+      const plan = findMembershipPlan(planId);
+
+      // Idempotent per payment intent; never overwrites what the webhook recorded
+      const recorded = await paymentsCollection.updateOne(
+        { paymentIntentId },
+        {
+          $setOnInsert: {
+            email,
+            amount: plan.price,
+            currency: plan.currency,
+            status: 'pending',
+            paymentIntentId,
+            planId: plan.id,
+            membershipType: plan.membershipType,
+            date: date ? new Date(date) : new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      const payment = await paymentsCollection.findOne({ paymentIntentId });
+      if (recorded.upsertedCount) {
+        await recordAudit(req, {
+          action: "payment.record",
+          targetType: "payment",
+          targetId: paymentIntentId,
+          after: pickFields(payment, PAYMENT_AUDIT_FIELDS),
+        });
+      }
+      res.json({
+        message: "Payment recorded successfully",
+        status: payment.status,
+        membershipUpdated: payment.status === 'succeeded'
+      });
+    } catch (error) {
+      console.error("Error processing payment:", error);
+      sendError(res, 500, "Failed to process payment");
+    }
+  });
+
+  // Make sure a payment record exists for the intent (the client may not have reported it)
+  const ensurePaymentRecord = async (paymentIntentId, fields) => {
+    try {
+      await paymentsCollection.updateOne(
+        { paymentIntentId },
+        { $setOnInsert: { paymentIntentId, status: "pending", ...fields } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent delivery created it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  };
+
+  // Apply a verified Stripe event to payments and memberships.
+  // Status changes are conditional updates, so redelivered events are no-ops.
+  const handleStripeEvent = async (event, req) => {
+    switch (event.type) {
+      case "payment_intent.succeeded":
+      case "payment_intent.payment_failed": {
+        const intent = event.data.object;
+        const succeeded = event.type === "payment_intent.succeeded";
+
+        // Only intents we created for a catalog plan are membership purchases. The plan
+        // and email come from the intent's metadata, never from a client-reported record.
+        const plan = findMembershipPlan(intent.metadata?.planId);
+        if (!plan) {
+          return;
+        }
+        // The email we put on the intent when creating it; a client-reported record
+        // for the same intent may name someone else
+        const email = intent.metadata?.email || null;
+        // Stripe has to have charged what the plan costs
+        const paidInFull = intent.amount === plan.price && intent.currency === plan.currency;
+        await ensurePaymentRecord(intent.id, {
+          email,
+          amount: intent.amount,
+          planId: plan.id,
+          membershipType: plan.membershipType,
+          date: new Date(intent.created * 1000),
+        });
+
+        const payment = await paymentsCollection.findOneAndUpdate(
+          {
+            paymentIntentId: intent.id,
+            status: { $in: succeeded ? ["pending", "failed"] : ["pending"] },
+          },
+          {
+            $set: {
+              status: succeeded ? "succeeded" : "failed",
+              email,
+              planId: plan.id,
+              membershipType: plan.membershipType,
+              amount: intent.amount,
+              currency: intent.currency,
+              failureMessage: succeeded
+                ? null
+                : intent.last_payment_error?.message || null,
+              confirmedAt: new Date(),
+            },
+          },
+          { returnDocument: "before" }
+        );
+        if (!payment) {
+          return;
+        }
+
+        const audit = {
+          action: succeeded ? "payment.succeeded" : "payment.failed",
+          targetType: "payment",
+          targetId: intent.id,
+          before: pickFields(payment, PAYMENT_AUDIT_FIELDS),
+          after: {
+            ...pickFields(payment, PAYMENT_AUDIT_FIELDS),
+            status: succeeded ? "succeeded" : "failed",
+            email,
+            planId: plan.id,
+            amount: intent.amount,
+            currency: intent.currency,
+          },
+          actor: STRIPE_AUDIT_ACTOR,
+        };
+
+        if (!succeeded || !email) {
+          await recordAudit(req, audit);
+          return;
+        }
+
+        if (!paidInFull) {
+          console.error(`Payment ${intent.id} doesn't match the price of plan ${plan.id}`);
+          await paymentsCollection.updateOne(
+            { _id: payment._id },
+            { $set: { membershipGranted: false } }
+          );
+          audit.after.membershipGranted = false;
+          await recordAudit(req, audit);
+          return;
+        }
+
+        const user = await grantMembership(email, plan);
+        // Record the period this payment paid for
+        await paymentsCollection.updateOne(
+          { _id: payment._id },
+          {
+            $set: {
+              periodStart: new Date(
+                user.membershipExpiresAt.getTime() - plan.durationDays * DAY_MS
+              ),
+              periodEnd: user.membershipExpiresAt,
+            },
+          }
+        );
+        audit.after.membership = pickFields(user, MEMBERSHIP_AUDIT_FIELDS);
+        await recordAudit(req, audit);
+        return;
+      }
+
+      case "charge.refunded": {
+        const charge = event.data.object;
+        if (!charge.payment_intent) {
+          return;
+        }
+
+        const update = {
+          amountRefunded: charge.amount_refunded,
+          refundedAt: new Date(),
+        };
+        // Only a full refund takes the membership away
+        if (!charge.refunded) {
+          await paymentsCollection.updateOne(
+            { paymentIntentId: charge.payment_intent },
+            { $set: update }
+          );
+          return;
+        }
+
+        const payment = await paymentsCollection.findOneAndUpdate(
+          { paymentIntentId: charge.payment_intent, status: "succeeded" },
+          { $set: { ...update, status: "refunded" } },
+          { returnDocument: "before" }
+        );
+        if (!payment) {
+          return;
+        }
+
+        const audit = {
+          action: "payment.refund",
+          targetType: "payment",
+          targetId: charge.payment_intent,
+          before: pickFields(payment, PAYMENT_AUDIT_FIELDS),
+          after: {
+            ...pickFields(payment, PAYMENT_AUDIT_FIELDS),
+            status: "refunded",
+            amountRefunded: charge.amount_refunded,
+          },
+          actor: STRIPE_AUDIT_ACTOR,
+        };
+        // Nothing to take back if the payment never granted a membership
+        if (payment.email && payment.membershipGranted !== false) {
+          await revokeMembership(payment.email, getPaymentPlan(payment));
+          const user = await usersCollection.findOne({ email: payment.email });
+          audit.after.membership = pickFields(user, MEMBERSHIP_AUDIT_FIELDS);
+        }
+        await recordAudit(req, audit);
+        return;
+      }
+
+      default:
+        return;
+    }
+  };
+
+  // Stripe webhook: the source of truth for payment outcomes
+  app.post("/api/stripe/webhook", async (req, res) => {
+    let event;
+    try {
+      // Verifying a signature only needs the webhook secret, not an API key
+      event = createStripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      console.error("Stripe webhook signature verification failed:", error.message);
+      return sendError(res, 400, "Invalid webhook signature");
+    }
+
+    try {
+      await handleStripeEvent(event, req);
+      res.json({ received: true });
+    } catch (error) {
+      // A non-2xx makes Stripe retry the delivery
+      console.error("Error handling Stripe webhook:", error);
+      sendError(res, 500, "Failed to handle webhook");
+    }
+  });
+
+  // Get the current user's membership status and renewal history
+  app.get("/api/membership", verifyFBToken, async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({ email: req.user.email });
+      const now = new Date();
+      const expiresAt = user?.membershipExpiresAt || null;
+      const active = isPaidMember(req.user);
+
+      const payments = await paymentsCollection
+        .find({ email: req.user.email, status: { $in: ["succeeded", "refunded"] } })
+        .sort({ date: -1 })
+        .toArray();
+
+      res.json({
+        membership: req.user.membership,
+        active,
+        plan: findMembershipPlan(user?.membershipPlanId),
+        startedAt: user?.membershipStartedAt || null,
+        expiresAt,
+        daysRemaining:
+          active && expiresAt
+            ? Math.max(0, Math.ceil((expiresAt - now) / DAY_MS))
+            : null,
+        history: payments.map((payment) => ({
+          paymentIntentId: payment.paymentIntentId,
+          plan: getPaymentPlan(payment),
+          amount: payment.amount,
+          currency: payment.currency || "usd",
+          status: payment.status,
+          date: payment.date,
+          periodStart: payment.periodStart || null,
+          periodEnd: payment.periodEnd || null,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching membership:", error);
+      sendError(res, 500, "Failed to fetch membership");
+    }
+  });
+
+  const paymentListQuery = {
+    email: { ...emailParam, required: false },
+  };
+
+  // Get payments by email (compatibility with client)
+  app.get("/api/payments", verifyFBToken, validate({ query: paymentListQuery }), async (req, res) => {
+    try {
+      const email = req.query.email || req.user.email;
+
+      // Only allow access to the user who owns the token (or an admin)
+      if (email !== req.user.email && req.user.role !== "admin") {
+        return sendError(res, 403, "Forbidden: Access denied");
+      }
+
+      const payments = await paymentsCollection
+        .find({ email })
+        .sort({ date: -1 })
+        .toArray();
+
+      res.json(payments);
+    } catch (error) {
+      console.error("Error fetching payments:", error);
+      sendError(res, 500, "Failed to fetch payments");
+    }
+  });
+
+  // Get payment history for a user (alternative endpoint)
+  app.get("/api/payments/history", verifyFBToken, validate({ query: paymentListQuery }), async (req, res) => {
+    try {
+      const email = req.query.email || req.user.email;
+
+      // Only allow access to the user who owns the token (or an admin)
+      if (email !== req.user.email && req.user.role !== "admin") {
+        return sendError(res, 403, "Forbidden: Access denied");
+      }
+
+      const history = await paymentsCollection
+        .find({ email })
+        .sort({ date: -1 })
+        .toArray();
+      res.json(history);
+    } catch (error) {
+      console.error("Error fetching payment history:", error);
+      sendError(res, 500, "Failed to fetch payment history");
+    }
+  });
+
+  const roleSchema = {
+    params: { userId: objectIdParam("User ID") },
+    body: { role: { type: "string", required: true, enum: ["admin", "member"], label: "Role" } },
+  };
+
+  // Update user role
+  app.patch("/api/users/:userId/role", verifyFBToken, verifyAdmin, validate(roleSchema), async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      const user = await usersCollection.findOneAndUpdate(
+        { _id: new ObjectId(userId) },
+        { $set: { role } }
+      );
+
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+
+      await recordAudit(req, {
+        action: "user.role_change",
+        targetType: "user",
+        targetId: user._id,
+        before: { email: user.email, role: user.role || "member" },
+        after: { email: user.email, role },
+      });
+
+      if (user.role !== role) {
+        await notify(user.email, "role_change", {
+          actor: req.user,
+          role,
+          previousRole: user.role || "member",
+          message: role === "admin" ? "You are now an admin" : `Your role was changed to ${role}`,
+        });
+      }
+
+      res.json({ success: true, message: `User role updated to ${role}` });
+    } catch (error) {
+      console.error("Error updating user role:", error);
+      sendError(res, 500, "Failed to update user role");
+    }
+  });
+
+  const sanctionReasonRule = { type: "string", required: true, maxLength: 1000, label: "Reason" };
+  const userIdParams = { userId: objectIdParam("User ID") };
+
+  // Load the user an admin wants to sanction; admins have to be demoted first
+  const findSanctionTarget = async (req, res) => {
+    const user = await usersCollection.findOne({ _id: new ObjectId(req.params.userId) });
+    if (!user) {
+      sendError(res, 404, "User not found");
+      return null;
+    }
+    if (user.email === req.user.email) {
+      sendError(res, 422, "You can't take action against your own account");
+      return null;
+    }
+    if (user.role === "admin") {
+      sendError(res, 422, "Admins can't be warned, suspended or banned; change their role first");
+      return null;
+    }
+    return user;
+  };
+
+  // Warn a user (for admin); warnings have the same shape as those from reports
+  app.post("/api/users/:userId/warn", verifyFBToken, verifyAdmin, validate({ params: userIdParams, body: { reason: sanctionReasonRule } }), async (req, res) => {
+    try {
+      const user = await findSanctionTarget(req, res);
+      if (!user) {
+        return;
+      }
+
+      const warning = {
+        reportId: null,
+        reason: req.body.reason,
+        issuedBy: req.user.email,
+        issuedAt: new Date(),
+      };
+      await usersCollection.updateOne({ _id: user._id }, { $push: { warnings: warning } });
+      await recordAudit(req, {
+        action: "user.warn",
+        targetType: "user",
+        targetId: user._id,
+        after: { email: user.email, warning },
+      });
+
+      res.status(201).json({ message: "User warned", warning });
+    } catch (error) {
+      console.error("Error warning user:", error);
+      sendError(res, 500, "Failed to warn user");
+    }
+  });
+
+  // Put a suspension or ban in force, keeping a history of every one issued
+  const applySuspension = async (req, user, suspension) => {
+    const updated = await usersCollection.findOneAndUpdate(
+      { _id: user._id },
+      { $set: { suspension }, $push: { suspensionHistory: suspension } },
+      { returnDocument: "after", projection: { email: 1, suspension: 1 } }
+    );
+    await recordAudit(req, {
+      action: suspension.type === "ban" ? "user.ban" : "user.suspend",
+      targetType: "user",
+      targetId: user._id,
+      before: { email: user.email, suspension: getActiveSuspension(user) },
+      after: { email: user.email, suspension },
+    });
+    return updated;
+  };
+
+  const suspendSchema = {
+    params: userIdParams,
+    body: {
+      reason: sanctionReasonRule,
+      until: { type: "date", label: "Suspended until" },
+      days: { type: "integer", min: 1, max: 365, label: "Days" },
+    },
+  };
+
+  // Suspend a user until a date, or for a number of days (for admin)
+  app.post("/api/users/:userId/suspend", verifyFBToken, verifyAdmin, validate(suspendSchema), async (req, res) => {
+    try {
+      const { reason, until, days } = req.body;
+      const now = new Date();
+      const endsAt = until || (days && new Date(now.getTime() + days * DAY_MS));
+      if (!endsAt || endsAt <= now) {
+        const message = "Send a future date (until) or a number of days";
+        return sendError(res, 422, message, { fields: { until: message } });
+      }
+
+      const user = await findSanctionTarget(req, res);
+      if (!user) {
+        return;
+      }
+
+      const updated = await applySuspension(req, user, {
+        type: "suspension",
+        reason,
+        issuedBy: req.user.email,
+        issuedAt: now,
+        endsAt,
+      });
+
+      res.json({
+        message: `User suspended until ${endsAt.toISOString()}`,
+        suspension: updated.suspension,
+      });
+    } catch (error) {
+      console.error("Error suspending user:", error);
+      sendError(res, 500, "Failed to suspend user");
+    }
+  });
+
+  // Ban a user permanently (for admin)
+  app.post("/api/users/:userId/ban", verifyFBToken, verifyAdmin, validate({ params: userIdParams, body: { reason: sanctionReasonRule } }), async (req, res) => {
+    try {
+      const user = await findSanctionTarget(req, res);
+      if (!user) {
+        return;
+      }
+
+      const updated = await applySuspension(req, user, {
+        type: "ban",
+        reason: req.body.reason,
+        issuedBy: req.user.email,
+        issuedAt: new Date(),
+        endsAt: null,
+      });
+
+      res.json({ message: "User banned", suspension: updated.suspension });
+    } catch (error) {
+      console.error("Error banning user:", error);
+      sendError(res, 500, "Failed to ban user");
+    }
+  });
+
+  // Lift a user's suspension or ban early (for admin)
+  app.delete("/api/users/:userId/suspension", verifyFBToken, verifyAdmin, validate({ params: userIdParams }), async (req, res) => {
+    try {
+      const user = await usersCollection.findOne({ _id: new ObjectId(req.params.userId) });
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+      if (!getActiveSuspension(user)) {
+        return sendError(res, 404, "User isn't suspended or banned");
+      }
+
+      await usersCollection.updateOne(
+        { _id: user._id },
+        {
+          $set: { suspension: null },
+          $push: {
+            suspensionHistory: {
+              type: "lifted",
+              reason: null,
+              issuedBy: req.user.email,
+              issuedAt: new Date(),
+              endsAt: null,
+            },
+          },
+        }
+      );
+
+      await recordAudit(req, {
+        action: "user.unsuspend",
+        targetType: "user",
+        targetId: user._id,
+        before: { email: user.email, suspension: getActiveSuspension(user) },
+        after: { email: user.email, suspension: null },
+      });
+
+      res.json({ message: "Suspension lifted" });
+    } catch (error) {
+      console.error("Error lifting suspension:", error);
+      sendError(res, 500, "Failed to lift suspension");
+    }
+  });
+
+  // Get the current user's standing: warnings and any suspension or ban in force
+  app.get("/api/users/me/standing", verifyFBToken, async (req, res) => {
+    try {
+      const user = await usersCollection.findOne(
+        { email: req.user.email },
+        { projection: { warnings: 1, suspension: 1, suspensionHistory: 1 } }
+      );
+      const suspension = getActiveSuspension(user);
+
+      res.json({
+        status: suspension ? (suspension.type === "ban" ? "banned" : "suspended") : "good",
+        suspension,
+        suspendedUntil: suspension?.endsAt || null,
+        warnings: user?.warnings || [],
+        history: user?.suspensionHistory || [],
+      });
+    } catch (error) {
+      console.error("Error fetching standing:", error);
+      sendError(res, 500, "Failed to fetch account standing");
+    }
+  });
+
+  // Everything stored about a user, gathered for a personal data export
+  const collectUserData = async (user) => {
+    const { email, uid } = user;
+    const profile = await usersCollection.findOne({ email });
+    const posts = await postsCollection.find({ authorEmail: email }).sort({ postTime: 1 }).toArray();
+    return {
+      exportedAt: new Date(),
+      profile,
+      posts,
+      postRevisions: await postRevisionsCollection
+        .find({ postId: { $in: posts.map((post) => post._id) } })
+        .sort({ postId: 1, version: 1 })
+        .toArray(),
+      comments: await commentsCollection.find({ authorEmail: email }).sort({ createdAt: 1 }).toArray(),
+      votes: await votesCollection
+        .find({ $or: [{ voterEmail: email }, ...(uid ? [{ voterId: uid }] : [])] })
+        .sort({ createdAt: 1 })
+        .toArray(),
+      voteHistory: await voteEventsCollection.find({ voterEmail: email }).sort({ createdAt: 1 }).toArray(),
+      payments: await paymentsCollection.find({ email }).sort({ date: 1 }).toArray(),
+      bookmarks: await bookmarksCollection.find({ email }).sort({ createdAt: 1 }).toArray(),
+      follows: await followsCollection.find({ email }).sort({ createdAt: 1 }).toArray(),
+      notifications: await notificationsCollection.find({ recipientEmail: email }).sort({ createdAt: 1 }).toArray(),
+      reports: await reportsCollection.find({ reporterEmail: email }).sort({ createdAt: 1 }).toArray(),
+      announcementStates: await announcementStatesCollection.find({ email }).toArray(),
+      viewedPosts: await postViewersCollection.find({ viewerKey: `user:${email}` }).toArray(),
+    };
+  };
+
+  // Take back all of a user's post and comment votes, keeping the vote counters in step.
+  // Returns the number of votes removed.
+  const removeUserVotes = async (user) => {
+    const filter = { $or: [{ voterEmail: user.email }, ...(user.uid ? [{ voterId: user.uid }] : [])] };
+    let removed = 0;
+    let vote;
+    while ((vote = await votesCollection.findOneAndDelete(filter))) {
+      const targetCollection = vote.targetType === "comment" ? commentsCollection : postsCollection;
+      await targetCollection.updateOne(
+        { _id: vote.targetId },
+        { $inc: { [VOTE_COUNTERS[vote.voteType]]: -1 } }
+      );
+      removed++;
+    }
+    return removed;
+  };
+
+  // Remove a user's personal data. Posts and comments are either anonymized (kept
+  // under "[deleted]") or deleted; payments are kept for the books with the email
+  // removed. Audit log entries stay, since the log is append-only.
+  const eraseUserData = async (user, { content }) => {
+    const { email } = user;
+    const now = new Date();
+    // Stands in for the email where a record has to stay unique per user
+    const pseudonym = `deleted-user:${crypto.randomUUID()}`;
+    const anonymousAuthor = { authorName: "[deleted]", authorEmail: null, authorImage: null };
+    const summary = { content };
+
+    summary.votes = await removeUserVotes(user);
+    await voteEventsCollection.updateMany({ voterEmail: email }, { $set: { voterEmail: null } });
+
+    if (content === "delete") {
+      const posts = await postsCollection.find({ authorEmail: email }).toArray();
+      for (const post of posts) {
+        await purgePost(post);
+      }
+      summary.posts = posts.length;
+
+      // Comments on the posts above went with them
+      const comments = await commentsCollection.find({ authorEmail: email }).toArray();
+      for (const comment of comments) {
+        if (comment.held) {
+          await commentsCollection.deleteOne({ _id: comment._id });
+          continue;
+        }
+        if (!comment.deleted) {
+          await softDeleteComment(comment, email, "Account deleted");
+        }
+        await purgeComment(comment);
+      }
+      summary.comments = comments.length;
+    } else {
+      const posts = await postsCollection.updateMany(
+        { authorEmail: email },
+        { $set: anonymousAuthor }
+      );
+      const comments = await commentsCollection.updateMany(
+        { authorEmail: email },
+        { $set: anonymousAuthor }
+      );
+      summary.posts = posts.modifiedCount;
+      summary.comments = comments.modifiedCount;
+    }
+    await postsCollection.updateMany({ editedBy: email }, { $set: { editedBy: null } });
+    await postRevisionsCollection.updateMany({ editedBy: email }, { $set: { editedBy: null } });
+    await postRevisionsCollection.updateMany({ replacedBy: email }, { $set: { replacedBy: null } });
+    await announcementsCollection.updateMany({ authorEmail: email }, { $set: anonymousAuthor });
+
+    // Moderation done by (or on) this user stays on record, without the email
+    for (const collection of [postsCollection, commentsCollection]) {
+      await collection.updateMany({ deletedBy: email }, { $set: { deletedBy: null } });
+      await collection.updateMany({ "review.reviewedBy": email }, { $set: { "review.reviewedBy": null } });
+    }
+    await reportsCollection.updateMany(
+      { "resolution.resolvedBy": email },
+      { $set: { "resolution.resolvedBy": null } }
+    );
+    const scrubIssuer = (entry) => (entry?.issuedBy === email ? { ...entry, issuedBy: null } : entry);
+    const sanctioned = await usersCollection
+      .find({
+        email: { $ne: email },
+        $or: [
+          { "warnings.issuedBy": email },
+          { "suspension.issuedBy": email },
+          { "suspensionHistory.issuedBy": email },
+        ],
+      })
+      .toArray();
+    for (const other of sanctioned) {
+      await usersCollection.updateOne(
+        { _id: other._id },
+        {
+          $set: {
+            warnings: (other.warnings || []).map(scrubIssuer),
+            suspension: scrubIssuer(other.suspension) || null,
+            suspensionHistory: (other.suspensionHistory || []).map(scrubIssuer),
+          },
+        }
+      );
+    }
+
+    const payments = await paymentsCollection.updateMany(
+      { email },
+      { $set: { email: null, redactedAt: now } }
+    );
+    summary.payments = payments.modifiedCount;
+
+    // Others' notifications keep the event but lose who did it
+    await notificationsCollection.updateMany(
+      { actorEmail: email, actorName: { $type: "string", $ne: "" }, message: { $type: "string" } },
+      [{ $set: { message: { $replaceAll: { input: "$message", find: "$actorName", replacement: "Someone" } } } }]
+    );
+    await notificationsCollection.updateMany(
+      { actorEmail: email },
+      { $set: { actorEmail: null, actorName: null } }
+    );
+    await notificationsCollection.deleteMany({ recipientEmail: email });
+
+    await reportsCollection.updateMany(
+      { reporterEmail: email },
+      { $set: { reporterEmail: pseudonym } }
+    );
+    await reportsCollection.updateMany(
+      { targetAuthorEmail: email },
+      { $set: { targetAuthorEmail: null } }
+    );
+
+    await bookmarksCollection.deleteMany({ email });
+    await followsCollection.deleteMany({ email });
+    await followsCollection.deleteMany({ targetType: "author", target: email });
+    await announcementStatesCollection.deleteMany({ email });
+    await postViewersCollection.deleteMany({ viewerKey: `user:${email}` });
+    await postViewsCollection.updateMany(
+      { viewerKey: `user:${email}` },
+      { $set: { viewerKey: pseudonym } }
+    );
+
+    await usersCollection.deleteOne({ email });
+    return summary;
+  };
+
+  // Download everything stored about the current user as one JSON file
+  app.get("/api/users/me/export", verifyFBToken, async (req, res) => {
+    try {
+      const archive = await collectUserData(req.user);
+      const date = archive.exportedAt.toISOString().slice(0, 10);
+
+      res.attachment(`qcktlk-export-${date}.json`);
+      res.send(JSON.stringify(archive, null, 2));
+    } catch (error) {
+      console.error("Error exporting user data:", error);
+      sendError(res, 500, "Failed to export user data");
+    }
+  });
+
+  const accountDeletionSchema = {
+    // Typing the account email guards against deleting by accident
+    confirmEmail: { ...emailParam, label: "Confirmation email" },
+    content: { type: "string", enum: ["anonymize", "delete"], default: "anonymize", label: "Content" },
+  };
+
+  // Delete the current user's account. Their posts and comments are anonymized
+  // (content: "anonymize", the default) or deleted (content: "delete"). Not allowed
+  // while a suspension or ban is in force.
+  app.delete("/api/users/me", verifyFBToken, requireGoodStanding, validate({ body: accountDeletionSchema }), async (req, res) => {
+    try {
+      const { confirmEmail, content } = req.body;
+      if (confirmEmail.toLowerCase() !== req.user.email.toLowerCase()) {
+        return sendError(res, 422, "Confirmation email doesn't match your account", {
+          fields: { confirmEmail: "Confirmation email doesn't match your account" },
+        });
+      }
+
+      // Someone has to be left to run the forum
+      if (req.user.role === "admin") {
+        const admins = await usersCollection.countDocuments({ role: "admin" }, { limit: 2 });
+        if (admins < 2) {
+          return sendError(res, 409, "The last admin can't delete their account");
+        }
+      }
+
+      const summary = await eraseUserData(req.user, { content });
+      await recordAudit(req, {
+        action: "user.delete",
+        targetType: "user",
+        targetId: req.user._id,
+        after: summary,
+      });
+
+      // Signing in again would only recreate an empty account
+      if (admin.apps.length && req.user.uid) {
+        try {
+          await admin.auth().deleteUser(req.user.uid);
+        } catch (error) {
+          if (error.code !== "auth/user-not-found") {
+            console.error("Error deleting Firebase user:", error);
+          }
+        }
+      }
+
+      res.json({ message: "Account deleted", ...summary });
+    } catch (error) {
+      console.error("Error deleting account:", error);
+      sendError(res, 500, "Failed to delete account");
+    }
+  });
+
+  // Get all users (for admin)
+  app.get("/api/users", verifyFBToken, verifyAdmin, async (req, res) => {
+    try {
+      let users = await usersCollection.find({}, {
+        projection: {
+          _id: 1,
+          email: 1,
+          displayName: 1,
+          photoURL: 1,
+          membership: 1,
+          badge: 1,
+          role: 1,
+          createdAt: 1,
+          lastLogin: 1,
+          suspension: 1,
+        }
+      }).sort({ createdAt: -1 }).toArray();
+
+      // Ensure all users have a role (default to 'member' if not set)
+      users = users.map(user => ({
+        ...user,
+        role: user.role || 'member',
+        suspension: getActiveSuspension(user),
+      }));
+
+      // Map the results to include id as a string
+      const usersWithId = users.map(user => ({
+        ...user,
+        id: user._id.toString()
+      }));
+
+      res.json(usersWithId);
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      sendError(res, 500, "Failed to fetch users");
+    }
+  });
+
+  // What anyone may see of a user; moderation records and preferences stay private
+  // (see /api/users/me/standing and the admin routes)
+  const PUBLIC_PROFILE_FIELDS = [
+    "_id",
+    "email",
+    "displayName",
+    "photoURL",
+    "role",
+    "membership",
+    "badge",
+    "membershipUpgradedAt",
+    "createdAt",
+  ];
+
+  // Get user profile by email
+  app.get("/api/users/profile", validate({ query: { email: emailParam } }), async (req, res) => {
+    try {
+      const { email } = req.query;
+      const user = await applyMembershipExpiry(
+        await usersCollection.findOne({ email })
+      );
+      if (!user) {
+        // Create a default user profile if it doesn't exist
+        const defaultUser = {
+          email,
+          displayName: email.split("@")[0], // Use email prefix as display name
+          photoURL: "/default-avatar.svg",
+          membership: "free",
+          badge: "bronze",
+          membershipUpgradedAt: null,
+          createdAt: new Date(),
+        };
+        const result = await usersCollection.insertOne(defaultUser);
+        defaultUser._id = result.insertedId;
+        return res.json(defaultUser);
+      }
+      res.json(pickFields(user, PUBLIC_PROFILE_FIELDS));
+    } catch (error) {
+      console.error("Error fetching user profile:", error);
+      sendError(res, 500, "Failed to fetch user profile");
+    }
+  });
+
+  const profileSchema = {
+    displayName: { type: "string", maxLength: 100, label: "Display name" },
+    photoURL: { type: "string", maxLength: 2000, label: "Photo URL" },
+  };
+
+  // Create or update user profile
+  app.post("/api/users/profile", verifyFBToken, validate({ body: profileSchema }), async (req, res) => {
+    try {
+      const { displayName, photoURL } = req.body;
+      const { email } = req.user;
+
+      const updateData = {
+        email,
+        displayName: displayName || email.split("@")[0],
+        photoURL: photoURL || "/default-avatar.svg",
+        updatedAt: new Date(),
+      };
+
+      // Membership fields are only defaulted for new users, so a profile
+      // update never cancels a paid membership
+      const user = await usersCollection.findOneAndUpdate(
+        { email },
+        {
+          $set: updateData,
+          $setOnInsert: {
+            membership: "free",
+            badge: null,
+            membershipUpgradedAt: null,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+
+      res.json({
+        message: "User profile updated successfully",
+        user,
+      });
+    } catch (error) {
+      console.error("Error updating user profile:", error);
+      sendError(res, 500, "Failed to update user profile");
+    }
+  });
+
+  // Add a bookmarked flag to posts for the signed-in user (anonymous callers get posts as they are)
+  const markBookmarks = async (posts, user) => {
+    if (!user || !posts.length) {
+      return posts;
+    }
+    const bookmarks = await bookmarksCollection
+      .find(
+        { email: user.email, postId: { $in: posts.map((post) => post._id) } },
+        { projection: { postId: 1 } }
+      )
+      .toArray();
+    const bookmarked = new Set(bookmarks.map((bookmark) => bookmark.postId.toString()));
+    return posts.map((post) => ({ ...post, bookmarked: bookmarked.has(post._id.toString()) }));
+  };
+
+  const bookmarkParams = { postId: objectIdParam("Post ID") };
+
+  // Bookmark a post (bookmarking it again is a no-op)
+  app.post("/api/bookmarks/:postId", verifyFBToken, validate({ params: bookmarkParams }), async (req, res) => {
+    try {
+      const post = await postsCollection.findOne(
+        { _id: new ObjectId(req.params.postId), status: "active" },
+        { projection: { _id: 1 } }
+      );
+      if (!post) {
+        return sendError(res, 404, "Post not found");
+      }
+
+      const result = await bookmarksCollection.updateOne(
+        { email: req.user.email, postId: post._id },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+
+      res.status(result.upsertedCount ? 201 : 200).json({
+        message: "Post bookmarked",
+        postId: post._id,
+        bookmarked: true,
+      });
+    } catch (error) {
+      console.error("Error bookmarking post:", error);
+      sendError(res, 500, "Failed to bookmark post");
+    }
+  });
+
+  // Remove a bookmark
+  app.delete("/api/bookmarks/:postId", verifyFBToken, validate({ params: bookmarkParams }), async (req, res) => {
+    try {
+      const result = await bookmarksCollection.deleteOne({
+        email: req.user.email,
+        postId: new ObjectId(req.params.postId),
+      });
+      if (result.deletedCount === 0) {
+        return sendError(res, 404, "Bookmark not found");
+      }
+
+      res.json({ message: "Bookmark removed", bookmarked: false });
+    } catch (error) {
+      console.error("Error removing bookmark:", error);
+      sendError(res, 500, "Failed to remove bookmark");
+    }
+  });
+
+  // Get the current user's bookmarked posts, most recently bookmarked first.
+  // Bookmarks on posts that are no longer public are counted but not returned.
+  app.get("/api/bookmarks", verifyFBToken, validate({ query: paginationQuery }), async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const query = { email: req.user.email };
+
+      const skip = (Number(page) - 1) * Number(limit);
+      const total = await bookmarksCollection.countDocuments(query);
+      const bookmarks = await bookmarksCollection
+        .find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .toArray();
+
+      const posts = await postsCollection
+        .find({ _id: { $in: bookmarks.map((bookmark) => bookmark.postId) }, status: "active" })
+        .toArray();
+      const postsById = new Map(posts.map((post) => [post._id.toString(), post]));
+
+      res.json({
+        data: bookmarks
+          .filter((bookmark) => postsById.has(bookmark.postId.toString()))
+          .map((bookmark) => ({
+            ...postsById.get(bookmark.postId.toString()),
+            bookmarked: true,
+            bookmarkedAt: bookmark.createdAt,
+          })),
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+        currentPage: Number(page),
+        hasMore: skip + bookmarks.length < total,
+      });
+    } catch (error) {
+      console.error("Error fetching bookmarks:", error);
+      sendError(res, 500, "Failed to fetch bookmarks");
+    }
+  });
+
+  // Follow an author or a tag. Authors must have an account; tags are followed by
+  // their canonical name, so aliases work too.
+  const follow = (targetType) => async (req, res) => {
+    try {
+      let target;
+      if (targetType === "author") {
+        target = req.params.email;
+        if (target === req.user.email) {
+          return sendError(res, 422, "You can't follow yourself", {
+            fields: { email: "You can't follow yourself" },
+          });
+        }
+        const author = await usersCollection.countDocuments({ email: target }, { limit: 1 });
+        if (!author) {
+          return sendError(res, 404, "Author not found");
+        }
+      } else {
+        const { tags, unknown } = await resolveTags([req.params.tag]);
+        if (!tags.length || (REJECT_UNKNOWN_TAGS && unknown.length)) {
+          return sendError(res, 404, "Tag not found");
+        }
+        [target] = tags;
+      }
+
+      const following = await followsCollection.countDocuments({
+        email: req.user.email,
+        targetType,
+      });
+      if (following >= MAX_FOLLOWS_PER_TYPE) {
+        const message = `You can follow at most ${MAX_FOLLOWS_PER_TYPE} ${targetType}s`;
+        return sendError(res, 422, message, { fields: { [targetType]: message } });
+      }
+
+      const result = await followsCollection.updateOne(
+        { email: req.user.email, targetType, target },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+
+      res.status(result.upsertedCount ? 201 : 200).json({
+        message: `Following ${target}`,
+        targetType,
+        target,
+        following: true,
+      });
+    } catch (error) {
+      console.error(`Error following ${targetType}:`, error);
+      sendError(res, 500, `Failed to follow ${targetType}`);
+    }
+  };
+
+  // Stop following an author or a tag
+  const unfollow = (targetType) => async (req, res) => {
+    try {
+      let target = req.params.email;
+      if (targetType === "tag") {
+        const { tags } = await resolveTags([req.params.tag]);
+        [target] = tags;
+      }
+
+      const result = await followsCollection.deleteOne({
+        email: req.user.email,
+        targetType,
+        target,
+      });
+      if (result.deletedCount === 0) {
+        return sendError(res, 404, `You aren't following this ${targetType}`);
+      }
+
+      res.json({ message: `Unfollowed ${target}`, targetType, target, following: false });
+    } catch (error) {
+      console.error(`Error unfollowing ${targetType}:`, error);
+      sendError(res, 500, `Failed to unfollow ${targetType}`);
+    }
+  };
+
+  const followAuthorParams = { email: emailParam };
+  const followTagParams = { tag: { type: "string", required: true, maxLength: 50, label: "Tag" } };
+
+  app.post("/api/follows/authors/:email", verifyFBToken, validate({ params: followAuthorParams }), follow("author"));
+  app.delete("/api/follows/authors/:email", verifyFBToken, validate({ params: followAuthorParams }), unfollow("author"));
+  app.post("/api/follows/tags/:tag", verifyFBToken, validate({ params: followTagParams }), follow("tag"));
+  app.delete("/api/follows/tags/:tag", verifyFBToken, validate({ params: followTagParams }), unfollow("tag"));
+
+  // Get the authors and tags the current user follows
+  app.get("/api/follows", verifyFBToken, async (req, res) => {
+    try {
+      const follows = await followsCollection
+        .find({ email: req.user.email })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.json({
+        authors: follows
+          .filter((item) => item.targetType === "author")
+          .map((item) => ({ email: item.target, followedAt: item.createdAt })),
+        tags: follows
+          .filter((item) => item.targetType === "tag")
+          .map((item) => ({ name: item.target, followedAt: item.createdAt })),
+      });
+    } catch (error) {
+      console.error("Error fetching follows:", error);
+      sendError(res, 500, "Failed to fetch follows");
+    }
+  });
+
+  const feedQuery = {
+    sort: { type: "string", enum: ["hot", "new"], label: "Sort" },
+    cursor: postListQuery.cursor,
+    limit: paginationQuery.limit,
+  };
+
+  // Get posts from followed authors and tags, ranked by hot score (recency and
+  // votes together) or newest first, cursor-paginated
+  app.get("/feed", verifyFBToken, validate({ query: feedQuery }), async (req, res) => {
+    try {
+      const { sort = "hot", cursor = "", limit = 20 } = req.query;
+      const sortFields = POST_SORTS[sort];
+      const pageSize = Number(limit);
+
+      const follows = await followsCollection.find({ email: req.user.email }).toArray();
+      const authors = follows.filter((item) => item.targetType === "author").map((item) => item.target);
+      const tags = follows.filter((item) => item.targetType === "tag").map((item) => item.target);
+      if (!authors.length && !tags.length) {
+        return res.json({ data: [], next: null, hasMore: false, following: { authors: 0, tags: 0 } });
+      }
+
+      const pipeline = [
+        {
+          $match: {
+            status: "active",
+            authorEmail: { $ne: req.user.email },
+            $or: [{ authorEmail: { $in: authors } }, { tags: { $in: tags } }],
+          },
+        },
+        ...buildPostRankingStages(false),
+      ];
+      if (cursor) {
+        const values = decodeCursor(cursor, sortFields);
+        if (!values) {
+          return sendError(res, 400, "Invalid cursor");
+        }
+        pipeline.push({ $match: buildCursorQuery(sortFields, values) });
+      }
+      // Fetch one extra to know whether another page exists
+      pipeline.push({ $sort: Object.fromEntries(sortFields) }, { $limit: pageSize + 1 });
+
+      const posts = await postsCollection.aggregate(pipeline).toArray();
+      const hasMore = posts.length > pageSize;
+      const page = posts.slice(0, pageSize);
+
+      // Say why each post is in the feed
+      const followedTags = new Set(tags);
+      const data = (await markBookmarks(page, req.user)).map((post) => ({
+        ...post,
+        followedBecause: {
+          author: authors.includes(post.authorEmail),
+          tags: (post.tags || []).filter((tag) => followedTags.has(tag)),
+        },
+      }));
+
+      res.json({
+        data,
+        next: hasMore ? encodeCursor(page[page.length - 1], sortFields) : null,
+        hasMore,
+        following: { authors: authors.length, tags: tags.length },
+      });
+    } catch (error) {
+      console.error("Error fetching feed:", error);
+      sendError(res, 500, "Failed to fetch feed");
+    }
+  });
+
+  const notificationListQuery = {
+    ...paginationQuery,
+    unread: { type: "boolean", label: "Unread only" },
+    type: { type: "string", enum: NOTIFICATION_TYPES, label: "Type" },
+  };
+
+  // Notifications that are visible now (scheduled announcements wait for their publish time)
+  const getNotificationQuery = (email) => ({
+    recipientEmail: email,
+    createdAt: { $lte: new Date() },
+  });
+
+  // Get the current user's notifications, newest first
+  app.get("/api/notifications", verifyFBToken, validate({ query: notificationListQuery }), async (req, res) => {
+    try {
+      const { unread = false, type = "", page = 1, limit = 20 } = req.query;
+
+      const query = getNotificationQuery(req.user.email);
+      if (unread) {
+        query.read = false;
+      }
+      if (type) {
+        query.type = type;
+      }
+
+      const skip = (Number(page) - 1) * Number(limit);
+      const [total, unreadCount, notifications] = await Promise.all([
+        notificationsCollection.countDocuments(query),
+        notificationsCollection.countDocuments({
+          ...getNotificationQuery(req.user.email),
+          read: false,
+        }),
+        notificationsCollection
+          .find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+          .toArray(),
+      ]);
+
+      res.json({
+        data: notifications,
+        total,
+        unreadCount,
+        totalPages: Math.ceil(total / Number(limit)),
+        currentPage: Number(page),
+        hasMore: skip + notifications.length < total,
+      });
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      sendError(res, 500, "Failed to fetch notifications");
+    }
+  });
+
+  // Get the current user's unread notification count
+  app.get("/api/notifications/unread-count", verifyFBToken, async (req, res) => {
+    try {
+      const unreadCount = await notificationsCollection.countDocuments({
+        ...getNotificationQuery(req.user.email),
+        read: false,
+      });
+      res.json({ unreadCount });
+    } catch (error) {
+      console.error("Error counting notifications:", error);
+      sendError(res, 500, "Failed to count notifications");
+    }
+  });
+
+  // Mark all of the current user's notifications as read
+  app.post("/api/notifications/read-all", verifyFBToken, async (req, res) => {
+    try {
+      const result = await notificationsCollection.updateMany(
+        { ...getNotificationQuery(req.user.email), read: false },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      res.json({ message: "Notifications marked as read", updated: result.modifiedCount });
+    } catch (error) {
+      console.error("Error marking notifications as read:", error);
+      sendError(res, 500, "Failed to mark notifications as read");
+    }
+  });
+
+  // Mark one notification as read
+  app.post("/api/notifications/:id/read", verifyFBToken, validate({ params: { id: objectIdParam("Notification ID") } }), async (req, res) => {
+    try {
+      const notification = await notificationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), recipientEmail: req.user.email },
+        [
+          {
+            $set: {
+              read: true,
+              readAt: { $ifNull: ["$readAt", "$$NOW"] },
+            },
+          },
+        ],
+        { returnDocument: "after" }
+      );
+      if (!notification) {
+        return sendError(res, 404, "Notification not found");
+      }
+      res.json(notification);
+    } catch (error) {
+      console.error("Error marking notification as read:", error);
+      sendError(res, 500, "Failed to mark notification as read");
+    }
+  });
+
+  // Current preferences with every type filled in (true = on, false = muted)
+  const getNotificationPreferences = (user) =>
+    Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, user?.notificationPreferences?.[type] !== false])
+    );
+
+  // Get the current user's notification preferences
+  app.get("/api/notifications/preferences", verifyFBToken, async (req, res) => {
+    try {
+      const user = await usersCollection.findOne(
+        { email: req.user.email },
+        { projection: { notificationPreferences: 1 } }
+      );
+      res.json(getNotificationPreferences(user));
+    } catch (error) {
+      console.error("Error fetching notification preferences:", error);
+      sendError(res, 500, "Failed to fetch notification preferences");
+    }
+  });
+
+  const notificationPreferencesSchema = Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, { type: "boolean", label: type }])
+  );
+
+  // Turn notification types on or off for the current user (false mutes a type)
+  app.patch("/api/notifications/preferences", verifyFBToken, validate({ body: notificationPreferencesSchema }), async (req, res) => {
+    try {
+      if (!Object.keys(req.body).length) {
+        return sendError(res, 422, "Nothing to update", {
+          fields: { type: `Send any of: ${NOTIFICATION_TYPES.join(", ")}` },
+        });
+      }
+
+      const updates = Object.fromEntries(
+        Object.entries(req.body).map(([type, enabled]) => [
+          `notificationPreferences.${type}`,
+          enabled,
+        ])
+      );
+      const user = await usersCollection.findOneAndUpdate(
+        { email: req.user.email },
+        { $set: updates },
+        { returnDocument: "after", projection: { notificationPreferences: 1 } }
+      );
+      if (!user) {
+        return sendError(res, 404, "User not found");
+      }
+
+      res.json(getNotificationPreferences(user));
+    } catch (error) {
+      console.error("Error updating notification preferences:", error);
+      sendError(res, 500, "Failed to update notification preferences");
+    }
+  });
+
+  const auditLogQuery = {
+    ...paginationQuery,
+    actor: { type: "string", maxLength: 200, label: "Actor" },
+    action: { type: "string", maxLength: 100, label: "Action" },
+    targetType: { type: "string", maxLength: 50, label: "Target type" },
+    targetId: { type: "string", maxLength: 100, label: "Target ID" },
+    from: { type: "date", label: "From" },
+    to: { type: "date", label: "To" },
+  };
+
+  // Build the audit log filter from the query. An action ending in "." matches
+  // every action in that group (e.g. "payment.").
+  const buildAuditLogQuery = ({ actor, action, targetType, targetId, from, to }) => {
+    const query = {};
+    if (actor) {
+      query.actorEmail = actor;
+    }
+    if (action) {
+      query.action = action.endsWith(".")
+        ? { $regex: `^${escapeRegex(action)}` }
+        : action;
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (targetId) {
+      query.targetId = OBJECT_ID_PATTERN.test(targetId)
+        ? { $in: [targetId, new ObjectId(targetId)] }
+        : targetId;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        query.createdAt.$lte = new Date(to);
+      }
+    }
+    return query;
+  };
+
+  // Get audit log entries, newest first (for admin)
+  app.get("/api/audit-log", verifyFBToken, verifyAdmin, validate({ query: auditLogQuery }), async (req, res) => {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const query = buildAuditLogQuery(req.query);
+
+      const skip = (Number(page) - 1) * Number(limit);
+      const total = await auditLogCollection.countDocuments(query);
+      const entries = await auditLogCollection
+        .find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .toArray();
+
+      res.json({
+        data: entries,
+        total,
+        totalPages: Math.ceil(total / Number(limit)),
+        currentPage: Number(page),
+        hasMore: skip + entries.length < total,
+      });
+    } catch (error) {
+      console.error("Error fetching audit log:", error);
+      sendError(res, 500, "Failed to fetch audit log");
+    }
+  });
+
+  // Quote a value for a CSV cell
+  const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+      return "";
+    }
+    let text = String(value);
+    if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (typeof value === "object" && !(value instanceof ObjectId)) {
+      text = JSON.stringify(value);
+    }
+    // Spreadsheets run cells starting with these as formulas
+    if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const AUDIT_CSV_COLUMNS = [
+    "createdAt",
+    "actorEmail",
+    "actorRole",
+    "action",
+    "targetType",
+    "targetId",
+    "ip",
+    "userAgent",
+    "before",
+    "after",
+  ];
+
+  // Export audit log entries matching the same filters as CSV (for admin)
+  app.get("/api/audit-log/export", verifyFBToken, verifyAdmin, validate({ query: auditLogQuery }), async (req, res) => {
+    try {
+      const entries = await auditLogCollection
+        .find(buildAuditLogQuery(req.query))
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(AUDIT_EXPORT_MAX_ROWS)
+        .toArray();
+
+      const rows = [
+        AUDIT_CSV_COLUMNS.join(","),
+        ...entries.map((entry) =>
+          AUDIT_CSV_COLUMNS.map((column) => toCsvCell(entry[column])).join(",")
+        ),
+      ];
+
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+      );
+      res.send(`${rows.join("\r\n")}\r\n`);
+    } catch (error) {
+      console.error("Error exporting audit log:", error);
+      sendError(res, 500, "Failed to export audit log");
+    }
+  });
+
+  // Escape text for XML; control characters XML doesn't allow are dropped
+  const escapeXml = (text) =>
+    escapeHtml(String(text ?? "").replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, ""));
+
+  // Post as a feed item, with a GUID that never changes for the post
+  const toPostFeedItem = (post) => ({
+    id: `urn:qcktlk:post:${post._id}`,
+    title: post.title,
+    link: `${CLIENT_URL}/posts/${post._id}`,
+    content: post.description,
+    author: post.authorName,
+    published: post.postTime,
+    updated: post.updatedAt || post.postTime,
+    categories: post.tags || [],
+  });
+
+  const toAnnouncementFeedItem = (announcement) => ({
+    id: `urn:qcktlk:announcement:${announcement._id}`,
+    title: announcement.title,
+    link: `${CLIENT_URL}/announcements`,
+    content: announcement.description,
+    author: announcement.authorName,
+    published: announcement.publishAt || announcement.createdAt,
+    updated: announcement.updatedAt || announcement.publishAt || announcement.createdAt,
+    categories: [],
+  });
+
+  // RSS 2.0 document for a feed
+  const renderRss = (feed) =>
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      "<channel>",
+      `<title>${escapeXml(feed.title)}</title>`,
+      `<link>${escapeXml(feed.link)}</link>`,
+      `<description>${escapeXml(feed.description)}</description>`,
+      `<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+      ...feed.items.map((item) =>
+        [
+          "<item>",
+          `<title>${escapeXml(item.title)}</title>`,
+          `<link>${escapeXml(item.link)}</link>`,
+          `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+          `<description>${escapeXml(item.content)}</description>`,
+          item.author ? `<dc:creator>${escapeXml(item.author)}</dc:creator>` : "",
+          `<pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+          ...item.categories.map((category) => `<category>${escapeXml(category)}</category>`),
+          "</item>",
+        ].join("")
+      ),
+      "</channel>",
+      "</rss>",
+    ].join("\n");
+
+  // Atom 1.0 document for a feed
+  const renderAtom = (feed) =>
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `<id>${escapeXml(feed.id)}</id>`,
+      `<title>${escapeXml(feed.title)}</title>`,
+      `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `<link href="${escapeXml(feed.link)}"/>`,
+      `<link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>`,
+      `<updated>${feed.updated.toISOString()}</updated>`,
+      ...feed.items.map((item) =>
+        [
+          "<entry>",
+          `<id>${escapeXml(item.id)}</id>`,
+          `<title>${escapeXml(item.title)}</title>`,
+          `<link href="${escapeXml(item.link)}"/>`,
+          `<author><name>${escapeXml(item.author || "Anonymous")}</name></author>`,
+          `<published>${new Date(item.published).toISOString()}</published>`,
+          `<updated>${new Date(item.updated).toISOString()}</updated>`,
+          `<content type="text">${escapeXml(item.content)}</content>`,
+          ...item.categories.map((category) => `<category term="${escapeXml(category)}"/>`),
+          "</entry>",
+        ].join("")
+      ),
+      "</feed>",
+    ].join("\n");
+
+  // Send a feed as RSS or Atom. The ETag and Last-Modified come from the items,
+  // so readers polling with If-None-Match or If-Modified-Since get a 304 until
+  // something changes.
+  const sendFeed = (req, res, format, feed) => {
+    const updated = feed.items.reduce(
+      (latest, item) => (new Date(item.updated) > latest ? new Date(item.updated) : latest),
+      feed.updated
+    );
+    const etag = crypto
+      .createHash("sha1")
+      .update([format, feed.id, ...feed.items.map((item) => `${item.id}@${new Date(item.updated).getTime()}`)].join("|"))
+      .digest("hex");
+
+    res.set({
+      "Content-Type": `application/${format === "atom" ? "atom" : "rss"}+xml; charset=utf-8`,
+      "Cache-Control": `public, max-age=${FEED_MAX_AGE_SECONDS}`,
+      ETag: `"${etag}"`,
+      "Last-Modified": updated.toUTCString(),
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const document = { ...feed, updated, selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}` };
+    res.send(format === "atom" ? renderAtom(document) : renderRss(document));
+  };
+
+  // Feed of the latest public posts matching a filter
+  const buildPostFeed = async (query, { id, title, description, link }) => {
+    const posts = await postsCollection
+      .find({ ...query, status: "active" })
+      .sort({ postTime: -1, _id: -1 })
+      .limit(FEED_ITEM_LIMIT)
+      .toArray();
+    return {
+      id,
+      title,
+      description,
+      link,
+      // Empty feeds count as last changed at the epoch so their ETag stays put
+      updated: new Date(0),
+      items: posts.map(toPostFeedItem),
+    };
+  };
+
+  const feedFormatParam = { type: "string", required: true, enum: ["rss", "atom"], label: "Format" };
+
+  // Latest posts as RSS or Atom
+  app.get("/feeds/posts.:format", validate({ params: { format: feedFormatParam } }), async (req, res) => {
+    try {
+      const feed = await buildPostFeed({}, {
+        id: "urn:qcktlk:feed:posts",
+        title: "QckTlk: latest posts",
+        description: "The newest posts on QckTlk",
+        link: CLIENT_URL,
+      });
+      sendFeed(req, res, req.params.format, feed);
+    } catch (error) {
+      console.error("Error building posts feed:", error);
+      sendError(res, 500, "Failed to build feed");
+    }
+  });
+
+  // Latest posts with a tag (aliases resolve like GET /posts?tag=) as RSS or Atom
+  app.get("/feeds/tags/:tag.:format", validate({ params: { tag: { type: "string", required: true, maxLength: 50, label: "Tag" }, format: feedFormatParam } }), async (req, res) => {
+    try {
+      const { tags: [canonicalTag] } = await resolveTags([req.params.tag]);
+      const tag = canonicalTag || req.params.tag;
+
+      const feed = await buildPostFeed({ tags: tag }, {
+        id: `urn:qcktlk:feed:tag:${tag}`,
+        title: `QckTlk: posts tagged ${tag}`,
+        description: `The newest posts tagged ${tag} on QckTlk`,
+        link: `${CLIENT_URL}/?tag=${encodeURIComponent(tag)}`,
+      });
+      sendFeed(req, res, req.params.format, feed);
+    } catch (error) {
+      console.error("Error building tag feed:", error);
+      sendError(res, 500, "Failed to build feed");
+    }
+  });
+
+  // Latest posts by an author as RSS or Atom
+  app.get("/feeds/authors/:email.:format", validate({ params: { email: emailParam, format: feedFormatParam } }), async (req, res) => {
+    try {
+      const { email } = req.params;
+      const author = await usersCollection.findOne({ email }, { projection: { displayName: 1 } });
+      const name = author?.displayName || email.split("@")[0];
+
+      const feed = await buildPostFeed({ authorEmail: email }, {
+        id: `urn:qcktlk:feed:author:${email}`,
+        title: `QckTlk: posts by ${name}`,
+        description: `The newest posts by ${name} on QckTlk`,
+        link: CLIENT_URL,
+      });
+      sendFeed(req, res, req.params.format, feed);
+    } catch (error) {
+      console.error("Error building author feed:", error);
+      sendError(res, 500, "Failed to build feed");
+    }
+  });
+
+  // Active announcements meant for everyone, as RSS or Atom
+  app.get("/feeds/announcements.:format", validate({ params: { format: feedFormatParam } }), async (req, res) => {
+    try {
+      const now = new Date();
+      const announcements = await announcementsCollection
+        .find({
+          $and: [
+            { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ audience: null }, { audience: "all" }] },
+          ],
+        })
+        .sort({ publishAt: -1, _id: -1 })
+        .limit(FEED_ITEM_LIMIT)
+        .toArray();
+
+      sendFeed(req, res, req.params.format, {
+        id: "urn:qcktlk:feed:announcements",
+        title: "QckTlk: announcements",
+        description: "Announcements from the QckTlk team",
+        link: `${CLIENT_URL}/announcements`,
+        updated: new Date(0),
+        items: announcements.map(toAnnouncementFeedItem),
+      });
+    } catch (error) {
+      console.error("Error building announcements feed:", error);
+      sendError(res, 500, "Failed to build feed");
+    }
+  });
+
+  // Test endpoint
+  app.get("/test", (req, res) => {
+    res.send("Server is running");
+  });
+
+  // Test MongoDB connection
+  app.get("/test-mongo", async (req, res) => {
+    try {
+      const count = await postsCollection.countDocuments({});
+      res.json({
+        success: true,
+        postCount: count,
+        message: `Successfully connected to MongoDB. Found ${count} posts.`
+      });
+    } catch (error) {
+      console.error('MongoDB test error:', error);
+      sendError(res, 500, "Failed to connect to MongoDB", {
+        details: error.message,
+      });
+    }
+  });
+
+  // Sample route
+  app.get("/", (req, res) => {
+    res.send("QckTlk Forum Server is running");
+  });
+
+  // Unknown routes
+  app.use((req, res) => {
+    sendError(res, 404, "Route not found");
+  });
+
+  // Malformed JSON bodies and anything a route didn't handle
+  app.use((error, req, res, next) => {
+    if (error.type === "entity.parse.failed") {
+      return sendError(res, 400, "Request body is not valid JSON", {
+        code: "INVALID_JSON",
+      });
+    }
+    console.error("Unhandled error:", error);
+    sendError(res, error.status || 500, "Something went wrong");
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
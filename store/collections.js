@@ -0,0 +1,26 @@
+// Repositories every store provides, keyed by the name routes use
+// (the Mongo collection of the same name backs each one)
+const COLLECTIONS = [
+  "posts",
+  "comments",
+  "tags",
+  "announcements",
+  "users",
+  "payments",
+  "reports",
+  "announcementStates",
+  "postRevisions",
+  "notifications",
+  // One vote per voter per post or comment, backing the upVote/downVote counters
+  "votes",
+  // One entry per vote cast, so vote activity can be charted over time
+  "voteEvents",
+  "bookmarks",
+  "follows",
+  "auditLog",
+  // The last counted view per reader per post, and every counted view
+  "postViewers",
+  "postViews",
+];
+
+module.exports = { COLLECTIONS };
@@ -0,0 +1,5 @@
+const { COLLECTIONS } = require("./collections");
+const { createMongoStore } = require("./mongo");
+const { createMemoryStore } = require("./memory");
+
+module.exports = { COLLECTIONS, createMongoStore, createMemoryStore };
@@ -0,0 +1,1034 @@
+const { ObjectId, MongoServerError } = require("mongodb");
+const { COLLECTIONS } = require("./collections");
+
+// In-memory store for tests and offline development. Each repository behaves
+// like a Mongo collection for the queries, updates and aggregation stages the
+// routes use, including unique and TTL indexes and $text search. Every
+// operation runs synchronously under the hood, so single-document updates are
+// atomic just like on a real server.
+
+// Relevance score of a $text match, carried on documents through a pipeline
+const TEXT_SCORE = Symbol("textScore");
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every((key) => key.startsWith("$"));
+
+// Copy a value so stored documents can't be changed by reference.
+// Undefined fields are stored as null, like the driver does.
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => (item === undefined ? null : clone(item)));
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      copy[key] = value[key] === undefined ? null : clone(value[key]);
+    }
+    return copy;
+  }
+  return value;
+};
+
+// Order of BSON types when values of different types are compared
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === "number") return 2;
+  if (typeof value === "string") return 3;
+  if (Array.isArray(value)) return 5;
+  if (value instanceof ObjectId) return 7;
+  if (typeof value === "boolean") return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  return 4;
+};
+
+const compareValues = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+  switch (rankA) {
+    case 1:
+      return 0;
+    case 2:
+    case 8:
+      return a === b ? 0 : a < b ? -1 : 1;
+    case 3:
+      return a === b ? 0 : a < b ? -1 : 1;
+    case 7:
+      return compareValues(a.toHexString(), b.toHexString());
+    case 9:
+      return a.getTime() - b.getTime();
+    case 11:
+      return compareValues(a.toString(), b.toString());
+    case 5: {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result) return result;
+      }
+      return a.length - b.length;
+    }
+    default: {
+      const keysA = Object.keys(a);
+      const keysB = Object.keys(b);
+      for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+        const result = compareValues(keysA[i], keysB[i]) || compareValues(a[keysA[i]], b[keysB[i]]);
+        if (result) return result;
+      }
+      return keysA.length - keysB.length;
+    }
+  }
+};
+
+const valuesEqual = (a, b) => compareValues(a, b) === 0;
+
+// Name of a value's BSON type, as used by $type
+const bsonType = (value) => {
+  if (value === undefined) return "missing";
+  if (value === null) return "null";
+  if (typeof value === "number") return Number.isInteger(value) ? "int" : "double";
+  if (typeof value === "string") return "string";
+  if (typeof value === "boolean") return "bool";
+  if (Array.isArray(value)) return "array";
+  if (value instanceof ObjectId) return "objectId";
+  if (value instanceof Date) return "date";
+  if (value instanceof RegExp) return "regex";
+  return "object";
+};
+
+const matchesType = (value, type) =>
+  [].concat(type).some((name) =>
+    name === "number" ? typeof value === "number" : bsonType(value) === name
+  );
+
+// Stable key for grouping and unique indexes
+const toKey = (value) =>
+  JSON.stringify(value, function (key, item) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: raw.getTime() };
+    if (raw instanceof ObjectId) return { $oid: raw.toHexString() };
+    return item === undefined ? null : item;
+  });
+
+// Value at a dotted path (no array traversal), for expressions and sorting
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, part) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(part)) {
+      return value.map((item) => (isPlainObject(item) ? item[part] : undefined)).filter((item) => item !== undefined);
+    }
+    return typeof value === "object" ? value[part] : undefined;
+  }, doc);
+
+// Every value a query on the path can match: arrays match as a whole and by element.
+// A missing field shows up as undefined.
+const getCandidates = (value, parts) => {
+  if (!parts.length) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+  }
+  if (Array.isArray(value)) {
+    const [head, ...rest] = parts;
+    if (/^\d+$/.test(head)) {
+      return getCandidates(value[Number(head)], rest);
+    }
+    const found = value.filter(isPlainObject).flatMap((item) => getCandidates(item, parts));
+    return found.length ? found : [undefined];
+  }
+  if (!isPlainObject(value)) {
+    return [undefined];
+  }
+  return getCandidates(value[parts[0]], parts.slice(1));
+};
+
+const setPath = (doc, path, value) => {
+  const parts = path.split(".");
+  let target = doc;
+  parts.slice(0, -1).forEach((part) => {
+    if (target[part] === null || typeof target[part] !== "object") {
+      target[part] = {};
+    }
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const parts = path.split(".");
+  const parent = parts.slice(0, -1).reduce((value, part) => (value && typeof value === "object" ? value[part] : undefined), doc);
+  if (parent && typeof parent === "object") {
+    delete parent[parts[parts.length - 1]];
+  }
+};
+
+// Query matching
+
+const equalsCandidate = (candidates, expected) => {
+  if (expected instanceof RegExp) {
+    return candidates.some((value) => typeof value === "string" && expected.test(value));
+  }
+  if (expected === null) {
+    return candidates.some((value) => value === null || value === undefined);
+  }
+  return candidates.some((value) => value !== undefined && valuesEqual(value, expected));
+};
+
+// Range operators only compare values of the same type (a date never matches a number)
+const rangeMatch = (candidates, expected, test) =>
+  candidates.some(
+    (value) =>
+      value !== undefined &&
+      !Array.isArray(value) &&
+      typeRank(value) === typeRank(expected) &&
+      test(compareValues(value, expected))
+  );
+
+const matchesCondition = (candidates, condition) => {
+  if (condition instanceof RegExp || !isOperatorObject(condition)) {
+    return equalsCandidate(candidates, condition);
+  }
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case "$eq":
+        return equalsCandidate(candidates, expected);
+      case "$ne":
+        return !equalsCandidate(candidates, expected);
+      case "$in":
+        return expected.some((item) => equalsCandidate(candidates, item));
+      case "$nin":
+        return !expected.some((item) => equalsCandidate(candidates, item));
+      case "$gt":
+        return rangeMatch(candidates, expected, (result) => result > 0);
+      case "$gte":
+        return rangeMatch(candidates, expected, (result) => result >= 0);
+      case "$lt":
+        return rangeMatch(candidates, expected, (result) => result < 0);
+      case "$lte":
+        return rangeMatch(candidates, expected, (result) => result <= 0);
+      case "$exists":
+        return candidates.some((value) => value !== undefined) === Boolean(expected);
+      case "$type":
+        return candidates.some((value) => value !== undefined && matchesType(value, expected));
+      case "$regex": {
+        const pattern = expected instanceof RegExp ? expected : new RegExp(expected, condition.$options || "");
+        return candidates.some((value) => typeof value === "string" && pattern.test(value));
+      }
+      case "$options":
+        return true;
+      case "$not":
+        return !matchesCondition(candidates, expected);
+      case "$size":
+        return candidates.some((value) => Array.isArray(value) && value.length === expected);
+      case "$all":
+        return expected.every((item) => equalsCandidate(candidates, item));
+      case "$elemMatch":
+        return candidates.some(
+          (value) =>
+            Array.isArray(value) &&
+            value.some((item) =>
+              isOperatorObject(expected) ? matchesCondition([item], expected) : matchesFilter(item, expected)
+            )
+        );
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+};
+
+const matchesFilter = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every((part) => matchesFilter(doc, part));
+      case "$or":
+        return condition.some((part) => matchesFilter(doc, part));
+      case "$nor":
+        return !condition.some((part) => matchesFilter(doc, part));
+      case "$expr":
+        return Boolean(evaluate(condition, doc));
+      case "$text":
+        // Scored separately by the collection's text index
+        return true;
+      default:
+        return matchesCondition(getCandidates(doc, key.split(".")), condition);
+    }
+  });
+
+// Text search (no stemming dictionary: words match case-insensitively, ignoring
+// common English suffixes)
+
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, "") : word);
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+
+const parseTextSearch = (search) => {
+  const phrases = [];
+  const rest = String(search).replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) {
+      phrases.push(phrase.trim().toLowerCase());
+    }
+    return " ";
+  });
+  const words = rest.split(/\s+/).filter(Boolean);
+  return {
+    phrases,
+    terms: words.filter((word) => !word.startsWith("-")).flatMap(tokenize),
+    excluded: words.filter((word) => word.startsWith("-")).flatMap((word) => tokenize(word.slice(1))),
+  };
+};
+
+// Score of a document for a $text search, or null when it doesn't match
+const scoreText = (doc, search, weights) => {
+  const { phrases, terms, excluded } = parseTextSearch(search);
+  const fields = Object.entries(weights).map(([path, weight]) => {
+    const text = [].concat(getPath(doc, path) ?? []).filter((value) => typeof value === "string").join(" ");
+    return { text: text.toLowerCase(), tokens: tokenize(text), weight };
+  });
+
+  if (excluded.some((word) => fields.some((field) => field.tokens.includes(word)))) {
+    return null;
+  }
+  if (!phrases.every((phrase) => fields.some((field) => field.text.includes(phrase)))) {
+    return null;
+  }
+
+  const words = [...terms, ...phrases.flatMap(tokenize)];
+  let score = 0;
+  for (const field of fields) {
+    const hits = field.tokens.filter((token) => words.includes(token)).length;
+    if (hits && field.tokens.length) {
+      score += field.weight * (hits / field.tokens.length + 1);
+    }
+  }
+  return score > 0 ? score : null;
+};
+
+// Aggregation expressions
+
+const truncateDate = (date, unit, startOfWeek = "sunday", binSize = 1) => {
+  const result = new Date(date.getTime());
+  switch (unit) {
+    case "year":
+      return new Date(Date.UTC(result.getUTCFullYear(), 0, 1));
+    case "quarter":
+      return new Date(Date.UTC(result.getUTCFullYear(), Math.floor(result.getUTCMonth() / 3) * 3, 1));
+    case "month":
+      return new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth(), 1));
+    case "week": {
+      // startOfWeek takes full or three-letter day names
+      const days = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+      const first = Math.max(days.indexOf(String(startOfWeek).toLowerCase().slice(0, 3)), 0);
+      const day = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth(), result.getUTCDate()));
+      day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() - first + 7) % 7));
+      return day;
+    }
+    default: {
+      const sizes = { day: 86400000, hour: 3600000, minute: 60000, second: 1000, millisecond: 1 };
+      if (!sizes[unit]) {
+        throw new Error(`Unsupported $dateTrunc unit: ${unit}`);
+      }
+      const size = sizes[unit] * binSize;
+      return new Date(Math.floor(result.getTime() / size) * size);
+    }
+  }
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+const toNumber = (value) => (value instanceof Date ? value.getTime() : value);
+
+const EXPRESSION_OPERATORS = {
+  $literal: (args) => args,
+  $ifNull: (args, doc, vars) => {
+    const values = args.map((arg) => evaluate(arg, doc, vars));
+    const found = values.slice(0, -1).find((value) => !isMissing(value));
+    return found !== undefined ? found : values[values.length - 1];
+  },
+  $cond: (args, doc, vars) => {
+    const [condition, then, otherwise] = Array.isArray(args) ? args : [args.if, args.then, args.else];
+    return evaluate(condition, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+  },
+  $eq: (args, doc, vars) => compareArgs(args, doc, vars) === 0,
+  $ne: (args, doc, vars) => compareArgs(args, doc, vars) !== 0,
+  $gt: (args, doc, vars) => compareArgs(args, doc, vars) > 0,
+  $gte: (args, doc, vars) => compareArgs(args, doc, vars) >= 0,
+  $lt: (args, doc, vars) => compareArgs(args, doc, vars) < 0,
+  $lte: (args, doc, vars) => compareArgs(args, doc, vars) <= 0,
+  $cmp: (args, doc, vars) => Math.sign(compareArgs(args, doc, vars)),
+  $and: (args, doc, vars) => args.every((arg) => Boolean(evaluate(arg, doc, vars))),
+  $or: (args, doc, vars) => args.some((arg) => Boolean(evaluate(arg, doc, vars))),
+  $not: (args, doc, vars) => !evaluate([].concat(args)[0], doc, vars),
+  $in: (args, doc, vars) => {
+    const [value, list] = args.map((arg) => evaluate(arg, doc, vars));
+    return (list || []).some((item) => valuesEqual(item, value));
+  },
+  $add: (args, doc, vars) => {
+    const values = args.map((arg) => evaluate(arg, doc, vars));
+    if (values.some(isMissing)) return null;
+    const total = values.reduce((sum, value) => sum + toNumber(value), 0);
+    return values.some((value) => value instanceof Date) ? new Date(total) : total;
+  },
+  $subtract: (args, doc, vars) => {
+    const [a, b] = args.map((arg) => evaluate(arg, doc, vars));
+    if (isMissing(a) || isMissing(b)) return null;
+    if (a instanceof Date && !(b instanceof Date)) return new Date(a.getTime() - b);
+    return toNumber(a) - toNumber(b);
+  },
+  $multiply: (args, doc, vars) => {
+    const values = args.map((arg) => evaluate(arg, doc, vars));
+    return values.some(isMissing) ? null : values.reduce((product, value) => product * value, 1);
+  },
+  $divide: (args, doc, vars) => {
+    const [a, b] = args.map((arg) => evaluate(arg, doc, vars));
+    if (isMissing(a) || isMissing(b)) return null;
+    if (b === 0) throw new Error("can't $divide by zero");
+    return a / b;
+  },
+  $pow: (args, doc, vars) => {
+    const [base, exponent] = args.map((arg) => evaluate(arg, doc, vars));
+    return isMissing(base) || isMissing(exponent) ? null : base ** exponent;
+  },
+  $abs: (args, doc, vars) => {
+    const value = evaluate([].concat(args)[0], doc, vars);
+    return isMissing(value) ? null : Math.abs(value);
+  },
+  $log10: (args, doc, vars) => {
+    const value = evaluate([].concat(args)[0], doc, vars);
+    return isMissing(value) ? null : Math.log10(value);
+  },
+  $max: (args, doc, vars) => extreme(args, doc, vars, 1),
+  $min: (args, doc, vars) => extreme(args, doc, vars, -1),
+  $sum: (args, doc, vars) => {
+    const values = Array.isArray(args) ? args.map((arg) => evaluate(arg, doc, vars)) : [].concat(evaluate(args, doc, vars));
+    return values.filter((value) => typeof value === "number").reduce((sum, value) => sum + value, 0);
+  },
+  $size: (args, doc, vars) => {
+    const value = evaluate([].concat(args)[0], doc, vars);
+    if (!Array.isArray(value)) throw new Error("The argument to $size must be an array");
+    return value.length;
+  },
+  $concat: (args, doc, vars) => {
+    const values = args.map((arg) => evaluate(arg, doc, vars));
+    return values.some(isMissing) ? null : values.join("");
+  },
+  $toString: (args, doc, vars) => {
+    const value = evaluate([].concat(args)[0], doc, vars);
+    if (isMissing(value)) return null;
+    return value instanceof Date ? value.toISOString() : String(value);
+  },
+  $type: (args, doc, vars) => bsonType(evaluate([].concat(args)[0], doc, vars)),
+  $replaceAll: (args, doc, vars) => {
+    const input = evaluate(args.input, doc, vars);
+    const find = evaluate(args.find, doc, vars);
+    const replacement = evaluate(args.replacement, doc, vars);
+    if ([input, find, replacement].some(isMissing)) return null;
+    return input.split(find).join(replacement);
+  },
+  $dateTrunc: (args, doc, vars) => {
+    const date = evaluate(args.date, doc, vars);
+    if (isMissing(date)) return null;
+    return truncateDate(date, evaluate(args.unit, doc, vars), args.startOfWeek, args.binSize || 1);
+  },
+  $meta: (args, doc) => {
+    if (args !== "textScore") throw new Error(`Unsupported $meta: ${args}`);
+    return doc[TEXT_SCORE] ?? null;
+  },
+};
+
+const compareArgs = (args, doc, vars) => {
+  const [a, b] = args.map((arg) => evaluate(arg, doc, vars));
+  return compareValues(a, b);
+};
+
+const extreme = (args, doc, vars, direction) => {
+  const values = (Array.isArray(args) && args.length !== 1 ? args.map((arg) => evaluate(arg, doc, vars)) : [].concat(evaluate([].concat(args)[0], doc, vars)))
+    .filter((value) => !isMissing(value));
+  if (!values.length) return null;
+  return values.reduce((best, value) => (compareValues(value, best) * direction > 0 ? value : best));
+};
+
+const evaluate = (expression, doc, vars = {}) => {
+  if (typeof expression === "string" && expression.startsWith("$$")) {
+    const [name, ...path] = expression.slice(2).split(".");
+    const value = name === "ROOT" || name === "CURRENT" ? doc : name === "NOW" ? vars.NOW || new Date() : vars[name];
+    return path.length ? getPath(value, path.join(".")) : value;
+  }
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluate(item, doc, vars));
+  }
+  if (!isPlainObject(expression)) {
+    return expression;
+  }
+  const keys = Object.keys(expression);
+  if (keys.length === 1 && keys[0].startsWith("$")) {
+    const operator = EXPRESSION_OPERATORS[keys[0]];
+    if (!operator) {
+      throw new Error(`Unsupported expression operator: ${keys[0]}`);
+    }
+    return operator(expression[keys[0]], doc, vars);
+  }
+  return Object.fromEntries(keys.map((key) => [key, evaluate(expression[key], doc, vars)]));
+};
+
+// Aggregation pipeline
+
+const sortDocuments = (docs, spec) => {
+  const fields = Array.isArray(spec) ? spec : Object.entries(spec || {});
+  if (!fields.length) {
+    return docs;
+  }
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const value = (doc) => (isPlainObject(direction) && direction.$meta === "textScore" ? doc[TEXT_SCORE] : getPath(doc, field));
+      const order = isPlainObject(direction) ? -1 : direction === -1 || direction === "desc" ? -1 : 1;
+      const result = compareValues(value(a), value(b)) * order;
+      if (result) return result;
+    }
+    return 0;
+  });
+};
+
+// Apply a projection (inclusion, exclusion or computed fields) to a document
+const projectDocument = (doc, projection, vars) => {
+  const entries = Object.entries(projection);
+  const excludes = (value) => value === 0 || value === false;
+  // { _id: 1 } alone is an inclusion; otherwise _id doesn't decide the mode
+  const isInclusion =
+    entries.some(([key, value]) => key !== "_id" && !excludes(value)) ||
+    (entries.length === 1 && entries[0][0] === "_id" && !excludes(entries[0][1]));
+  if (!isInclusion) {
+    const result = clone(doc);
+    entries.forEach(([key]) => unsetPath(result, key));
+    if (doc[TEXT_SCORE] !== undefined) result[TEXT_SCORE] = doc[TEXT_SCORE];
+    return result;
+  }
+
+  const result = {};
+  if (projection._id === undefined || projection._id === 1 || projection._id === true) {
+    if (doc._id !== undefined) result._id = doc._id;
+  }
+  for (const [key, value] of entries) {
+    if (value === 0 || value === false || (key === "_id" && (value === 1 || value === true))) {
+      continue;
+    }
+    if (value === 1 || value === true) {
+      const found = getPath(doc, key);
+      if (found !== undefined) setPath(result, key, clone(found));
+    } else {
+      setPath(result, key, evaluate(value, doc, vars));
+    }
+  }
+  if (doc[TEXT_SCORE] !== undefined) result[TEXT_SCORE] = doc[TEXT_SCORE];
+  return result;
+};
+
+const ACCUMULATORS = {
+  $sum: (values) => values.filter((value) => typeof value === "number").reduce((sum, value) => sum + value, 0),
+  $avg: (values) => {
+    const numbers = values.filter((value) => typeof value === "number");
+    return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+  },
+  $min: (values) => extremeOf(values, -1),
+  $max: (values) => extremeOf(values, 1),
+  $first: (values) => (values.length ? values[0] ?? null : null),
+  $last: (values) => (values.length ? values[values.length - 1] ?? null : null),
+  $push: (values) => values.filter((value) => value !== undefined),
+  $addToSet: (values) =>
+    values.filter((value, index) => value !== undefined && values.findIndex((other) => valuesEqual(other, value)) === index),
+};
+
+const extremeOf = (values, direction) => {
+  const present = values.filter((value) => !isMissing(value));
+  return present.length
+    ? present.reduce((best, value) => (compareValues(value, best) * direction > 0 ? value : best))
+    : null;
+};
+
+const groupDocuments = (docs, spec, vars) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evaluate(spec._id, doc, vars) ?? null;
+    const key = toKey(id);
+    if (!groups.has(key)) {
+      groups.set(key, { id, docs: [] });
+    }
+    groups.get(key).docs.push(doc);
+  }
+  return [...groups.values()].map(({ id, docs: members }) => {
+    const result = { _id: id };
+    for (const [field, accumulator] of Object.entries(spec)) {
+      if (field === "_id") continue;
+      const [operator, argument] = Object.entries(accumulator)[0];
+      if (operator === "$count") {
+        result[field] = members.length;
+        continue;
+      }
+      if (!ACCUMULATORS[operator]) {
+        throw new Error(`Unsupported accumulator: ${operator}`);
+      }
+      result[field] = ACCUMULATORS[operator](members.map((doc) => evaluate(argument, doc, vars)));
+    }
+    return result;
+  });
+};
+
+const unwindDocuments = (docs, spec) => {
+  const { path, preserveNullAndEmptyArrays = false } = typeof spec === "string" ? { path: spec } : spec;
+  const field = path.slice(1);
+  return docs.flatMap((doc) => {
+    const value = getPath(doc, field);
+    if (Array.isArray(value) && value.length) {
+      return value.map((item) => {
+        const copy = { ...doc };
+        setPath(copy, field, item);
+        return copy;
+      });
+    }
+    if (isMissing(value) || Array.isArray(value)) {
+      return preserveNullAndEmptyArrays ? [doc] : [];
+    }
+    return [doc];
+  });
+};
+
+const runPipeline = (docs, pipeline, collection, vars = { NOW: new Date() }) =>
+  pipeline.reduce((current, stage, index) => {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case "$match":
+        if (spec.$text && index !== 0) {
+          throw new Error("$match with $text is only allowed as the first pipeline stage");
+        }
+        return collection ? collection.filterDocuments(current, spec) : current.filter((doc) => matchesFilter(doc, spec));
+      case "$addFields":
+      case "$set":
+        return current.map((doc) => {
+          const copy = { ...doc };
+          for (const [field, expression] of Object.entries(spec)) {
+            setPath(copy, field, evaluate(expression, doc, vars));
+          }
+          return copy;
+        });
+      case "$unset":
+        return current.map((doc) => {
+          const copy = clone(doc);
+          [].concat(spec).forEach((field) => unsetPath(copy, field));
+          if (doc[TEXT_SCORE] !== undefined) copy[TEXT_SCORE] = doc[TEXT_SCORE];
+          return copy;
+        });
+      case "$project":
+        return current.map((doc) => projectDocument(doc, spec, vars));
+      case "$group":
+        return groupDocuments(current, spec, vars);
+      case "$sort":
+        return sortDocuments(current, spec);
+      case "$skip":
+        return current.slice(spec);
+      case "$limit":
+        return current.slice(0, spec);
+      case "$unwind":
+        return unwindDocuments(current, spec);
+      case "$count":
+        return current.length ? [{ [spec]: current.length }] : [];
+      case "$replaceRoot":
+      case "$replaceWith":
+        return current.map((doc) => evaluate(name === "$replaceRoot" ? spec.newRoot : spec, doc, vars));
+      default:
+        throw new Error(`Unsupported aggregation stage: ${name}`);
+    }
+  }, docs);
+
+// Updates
+
+const applyOperators = (doc, update, isInsert) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case "$mul":
+          setPath(doc, path, (current || 0) * value);
+          break;
+        case "$min":
+          if (current === undefined || compareValues(value, current) < 0) setPath(doc, path, clone(value));
+          break;
+        case "$max":
+          if (current === undefined || compareValues(value, current) > 0) setPath(doc, path, clone(value));
+          break;
+        case "$currentDate":
+          setPath(doc, path, new Date());
+          break;
+        case "$push": {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, path, [...(current || []), ...items.map(clone)]);
+          break;
+        }
+        case "$addToSet": {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          const list = [...(current || [])];
+          items.forEach((item) => {
+            if (!list.some((existing) => valuesEqual(existing, item))) list.push(clone(item));
+          });
+          setPath(doc, path, list);
+          break;
+        }
+        case "$pull": {
+          if (!Array.isArray(current)) break;
+          const keep = (item) =>
+            isOperatorObject(value)
+              ? !matchesCondition([item], value)
+              : isPlainObject(value) && isPlainObject(item)
+                ? !matchesFilter(item, value)
+                : !valuesEqual(item, value);
+          setPath(doc, path, current.filter(keep));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    }
+  }
+  return doc;
+};
+
+// New document for an upsert: the filter's equality conditions become fields
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === "$and") {
+      condition.forEach((part) => Object.assign(doc, seedFromFilter(part)));
+    } else if (!key.startsWith("$")) {
+      if (isOperatorObject(condition)) {
+        if ("$eq" in condition) setPath(doc, key, clone(condition.$eq));
+      } else if (!(condition instanceof RegExp)) {
+        setPath(doc, key, clone(condition));
+      }
+    }
+  }
+  return doc;
+};
+
+const applyUpdate = (doc, update, isInsert) => {
+  if (Array.isArray(update)) {
+    const [result] = runPipeline([doc], update, null);
+    return clone(result);
+  }
+  return applyOperators(clone(doc), update, isInsert);
+};
+
+const projectOutput = (doc, projection) => {
+  if (!doc) return null;
+  return projection ? clone(projectDocument(doc, projection)) : clone(doc);
+};
+
+class MemoryCursor {
+  constructor(load, { sort, skip, limit, projection } = {}) {
+    this.load = load;
+    this.sortSpec = sort;
+    this.skipCount = skip || 0;
+    this.limitCount = limit || 0;
+    this.projection = projection;
+    this.transforms = [];
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  map(transform) {
+    this.transforms.push(transform);
+    return this;
+  }
+
+  async toArray() {
+    let docs = sortDocuments(this.load(), this.sortSpec).slice(this.skipCount);
+    if (this.limitCount) {
+      docs = docs.slice(0, Math.abs(this.limitCount));
+    }
+    return docs
+      .map((doc) => projectOutput(doc, this.projection))
+      .map((doc) => this.transforms.reduce((value, transform) => transform(value), doc));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryAggregationCursor {
+  constructor(run) {
+    this.run = run;
+  }
+
+  async toArray() {
+    return this.run().map(clone);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.documents = [];
+    this.indexes = [];
+    this.textWeights = null;
+  }
+
+  // Indexes only matter for what they enforce: uniqueness, TTL expiry and $text
+  async createIndex(keys, options = {}) {
+    const name = options.name || Object.entries(keys).map(([key, value]) => `${key}_${value}`).join("_");
+    const textFields = Object.keys(keys).filter((key) => keys[key] === "text");
+    if (textFields.length) {
+      this.textWeights = Object.fromEntries(textFields.map((field) => [field, options.weights?.[field] || 1]));
+    }
+    if (!this.indexes.some((index) => index.name === name)) {
+      const index = { name, keys, ...options };
+      this.checkUnique(this.documents, index);
+      this.indexes.push(index);
+    }
+    return name;
+  }
+
+  // Documents past a TTL index's expiry are gone, as if the server had removed them
+  expire() {
+    const now = Date.now();
+    for (const index of this.indexes) {
+      if (index.expireAfterSeconds === undefined) continue;
+      const [field] = Object.keys(index.keys);
+      this.documents = this.documents.filter((doc) => {
+        const value = getPath(doc, field);
+        return !(value instanceof Date) || value.getTime() + index.expireAfterSeconds * 1000 > now;
+      });
+    }
+  }
+
+  filterDocuments(docs, filter = {}) {
+    if (!filter.$text) {
+      return docs.filter((doc) => matchesFilter(doc, filter));
+    }
+    if (!this.textWeights) {
+      throw new MongoServerError({ message: "text index required for $text query", code: 27 });
+    }
+    return docs.flatMap((doc) => {
+      if (!matchesFilter(doc, filter)) return [];
+      const score = scoreText(doc, filter.$text.$search, this.textWeights);
+      return score === null ? [] : [{ ...doc, [TEXT_SCORE]: score }];
+    });
+  }
+
+  select(filter) {
+    this.expire();
+    return this.filterDocuments(this.documents, filter);
+  }
+
+  // Throw a duplicate key error if docs break a unique index
+  checkUnique(docs, index) {
+    if (!index.unique) return;
+    const seen = new Map();
+    for (const doc of docs) {
+      const fields = Object.keys(index.keys);
+      const values = fields.map((field) => getPath(doc, field) ?? null);
+      if (index.sparse && values.every((value) => value === null)) continue;
+      const key = toKey(values);
+      if (seen.has(key) && seen.get(key) !== doc) {
+        const keyValue = Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+        throw new MongoServerError({
+          message: `E11000 duplicate key error collection: ${this.collectionName} index: ${index.name} dup key: ${toKey(keyValue)}`,
+          code: 11000,
+          keyPattern: index.keys,
+          keyValue,
+        });
+      }
+      seen.set(key, doc);
+    }
+  }
+
+  // Replace the stored documents, unless that would break a unique index
+  commit(documents) {
+    this.indexes.forEach((index) => this.checkUnique(documents, index));
+    this.documents = documents;
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => this.select(filter), options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}, { skip = 0, limit } = {}) {
+    const count = Math.max(this.select(filter).length - skip, 0);
+    return limit ? Math.min(count, limit) : count;
+  }
+
+  async estimatedDocumentCount() {
+    this.expire();
+    return this.documents.length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.select(filter).flatMap((doc) => [].concat(getPath(doc, field) ?? []));
+    return values
+      .filter((value, index) => values.findIndex((other) => valuesEqual(other, value)) === index)
+      .map(clone);
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryAggregationCursor(() => {
+      this.expire();
+      return runPipeline(this.documents, pipeline, this);
+    });
+  }
+
+  async insertOne(doc) {
+    // Like the driver, give the caller's document its new _id
+    if (doc._id === undefined) {
+      doc._id = new ObjectId();
+    }
+    this.expire();
+    this.commit([...this.documents, clone(doc)]);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  // Update the first (or every) match; upserts insert a new document when nothing matches
+  update(filter, update, { upsert = false, sort } = {}, many = false) {
+    this.expire();
+    const matched = sortDocuments(this.select(filter), sort).map((doc) => this.documents.find((stored) => stored._id === doc._id || valuesEqual(stored._id, doc._id)));
+    const targets = many ? matched : matched.slice(0, 1);
+
+    if (!targets.length) {
+      if (!upsert) {
+        return { matchedCount: 0, modifiedCount: 0, before: null, after: null };
+      }
+      const seed = seedFromFilter(filter);
+      const doc = applyUpdate(seed._id === undefined ? { _id: new ObjectId(), ...seed } : seed, update, true);
+      this.commit([...this.documents, doc]);
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: doc._id, before: null, after: doc };
+    }
+
+    let modifiedCount = 0;
+    const documents = [...this.documents];
+    let before = null;
+    let after = null;
+    for (const target of targets) {
+      const updated = applyUpdate(target, update, false);
+      before = before || target;
+      after = after || updated;
+      if (!valuesEqual(updated, target)) {
+        documents[documents.indexOf(target)] = updated;
+        modifiedCount++;
+      }
+    }
+    this.commit(documents);
+    return { matchedCount: targets.length, modifiedCount, before, after };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const result = this.update(filter, update, options, false);
+    return {
+      acknowledged: true,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      upsertedCount: result.upsertedId ? 1 : 0,
+      upsertedId: result.upsertedId || null,
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const result = this.update(filter, update, options, true);
+    return {
+      acknowledged: true,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      upsertedCount: result.upsertedId ? 1 : 0,
+      upsertedId: result.upsertedId || null,
+    };
+  }
+
+  async findOneAndUpdate(filter, update, { returnDocument = "before", projection, ...options } = {}) {
+    const result = this.update(filter, update, options, false);
+    return projectOutput(returnDocument === "after" ? result.after : result.before, projection);
+  }
+
+  async findOneAndDelete(filter, { projection, sort } = {}) {
+    const [doc] = sortDocuments(this.select(filter), sort);
+    if (!doc) return null;
+    this.documents = this.documents.filter((stored) => !valuesEqual(stored._id, doc._id));
+    return projectOutput(doc, projection);
+  }
+
+  async deleteOne(filter = {}) {
+    const [doc] = this.select(filter);
+    if (!doc) {
+      return { acknowledged: true, deletedCount: 0 };
+    }
+    this.documents = this.documents.filter((stored) => !valuesEqual(stored._id, doc._id));
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const ids = new Set(this.select(filter).map((doc) => toKey(doc._id)));
+    const count = this.documents.length;
+    this.documents = this.documents.filter((stored) => !ids.has(toKey(stored._id)));
+    return { acknowledged: true, deletedCount: count - this.documents.length };
+  }
+}
+
+// Store that keeps everything in this process; every call gives a fresh, empty one
+const createMemoryStore = () => ({
+  ...Object.fromEntries(COLLECTIONS.map((name) => [name, new MemoryCollection(name)])),
+  connect: async () => {},
+  close: async () => {},
+});
+
+module.exports = { createMemoryStore, MemoryCollection };
@@ -0,0 +1,31 @@
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const { COLLECTIONS } = require("./collections");
+
+// Store backed by MongoDB. Nothing connects until connect() is called
+// (or the first query runs).
+const createMongoStore = ({ uri, dbName = "qcktlk_forum" }) => {
+  // Create a MongoClient with a MongoClientOptions object to set the Stable API version
+  const client = new MongoClient(uri, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+  const db = client.db(dbName);
+
+  const store = Object.fromEntries(COLLECTIONS.map((name) => [name, db.collection(name)]));
+  return {
+    ...store,
+    client,
+    db,
+    // Connect and send a ping to confirm the deployment is reachable
+    connect: async () => {
+      await client.connect();
+      await client.db("admin").command({ ping: 1 });
+    },
+    close: () => client.close(),
+  };
+};
+
+module.exports = { createMongoStore };
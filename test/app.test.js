@@ -0,0 +1,596 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const Stripe = require("stripe");
+const { ObjectId } = require("mongodb");
+const { createApp } = require("../app");
+const { createMemoryStore } = require("../store");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+delete process.env.PAYMENT_GATEWAY_KEY;
+
+// A locally signed token for a user named after their email
+const tokenFor = (email, uid = email) =>
+  jwt.sign({ email, sub: uid, name: email.split("@")[0] }, process.env.JWT_SECRET, {
+    algorithm: "HS256",
+  });
+
+const auth = (email) => ({ Authorization: `Bearer ${tokenFor(email)}` });
+
+// A payment_intent event as Stripe would send it for the given intent fields
+const intentEvent = (type, intent) => ({
+  id: `evt_${intent.id}_${type}`,
+  type,
+  data: {
+    object: { object: "payment_intent", currency: "usd", created: Math.floor(Date.now() / 1000), metadata: {}, ...intent },
+  },
+});
+
+describe("app over the in-memory store", () => {
+  let store;
+  let app;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    app = createApp({ store });
+    await app.locals.prepareStore();
+  });
+
+  // Create an active post as the given author and return its id
+  const createPost = async (email, fields = {}) => {
+    const res = await request(app)
+      .post("/posts")
+      .set(auth(email))
+      .send({ title: "A post title", description: "Some text for the body", tags: [], ...fields })
+      .expect(201);
+    return res.body.postId;
+  };
+
+  // Deliver an event to the webhook with a valid signature
+  const sendWebhook = (event) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+      .post("/api/stripe/webhook")
+      .set("Content-Type", "application/json")
+      .set(
+        "Stripe-Signature",
+        Stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET })
+      )
+      .send(payload)
+      .expect(200);
+  };
+
+  it("builds without a Stripe key", () => {
+    assert.equal(typeof app, "function");
+  });
+
+  it("creates and lists posts", async () => {
+    const postId = await createPost("alice@example.com", { title: "Hello world" });
+
+    const list = await request(app).get("/posts").expect(200);
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.data[0]._id, postId);
+    assert.equal(list.body.data[0].title, "Hello world");
+
+    const one = await request(app).get(`/posts/${postId}`).expect(200);
+    assert.equal(one.body.authorEmail, "alice@example.com");
+  });
+
+  it("rejects writes without a token and invalid ids", async () => {
+    await request(app).post("/posts").send({ title: "x", description: "y" }).expect(401);
+    const res = await request(app).get("/posts/not-an-id").expect(400);
+    assert.equal(res.body.error.code, "INVALID_REQUEST");
+  });
+
+  it("casts, switches and takes back a vote with fresh totals", async () => {
+    const postId = await createPost("alice@example.com");
+    const vote = (voteType) =>
+      request(app).post(`/posts/${postId}/vote`).set(auth("bob@example.com")).send({ voteType }).expect(200);
+
+    assert.deepEqual((await vote("upvote")).body, { upVote: 1, downVote: 0, userVote: "upvote" });
+    assert.deepEqual((await vote("downvote")).body, { upVote: 0, downVote: 1, userVote: "downvote" });
+    assert.deepEqual((await vote("downvote")).body, { upVote: 0, downVote: 0, userVote: null });
+  });
+
+  it("doesn't double-count concurrent votes", async () => {
+    const postId = await createPost("alice@example.com");
+    await Promise.all(
+      ["a", "b", "c"].map((name) =>
+        request(app)
+          .post(`/posts/${postId}/vote`)
+          .set(auth(`${name}@example.com`))
+          .send({ voteType: "upvote" })
+          .expect(200)
+      )
+    );
+    const post = await store.posts.findOne({ _id: new ObjectId(postId) });
+    assert.equal(post.upVote, 3);
+    assert.equal(await store.votes.countDocuments({ targetId: post._id }), 3);
+  });
+
+  it("comments on a post and votes on the comment", async () => {
+    const postId = await createPost("alice@example.com");
+    const comment = await request(app)
+      .post(`/posts/${postId}/comments`)
+      .set(auth("bob@example.com"))
+      .send({ comment: "Nice post" })
+      .expect(201);
+
+    const vote = await request(app)
+      .post(`/posts/${postId}/comments/${comment.body._id}/vote`)
+      .set(auth("carol@example.com"))
+      .send({ voteType: "upvote" })
+      .expect(200);
+    assert.deepEqual(vote.body, { upVote: 1, downVote: 0, userVote: "upvote" });
+
+    const list = await request(app).get(`/posts/${postId}/comments`).expect(200);
+    assert.equal(list.body.data.length, 1);
+    assert.equal(list.body.data[0].upVote, 1);
+    const post = await store.posts.findOne({ _id: new ObjectId(postId) });
+    assert.equal(post.commentCount, 1);
+  });
+
+  it("migrates the old per-post votes maps", async () => {
+    const _id = new ObjectId();
+    await store.posts.insertOne({
+      _id,
+      title: "Old post",
+      description: "From before the votes collection",
+      authorEmail: "alice@example.com",
+      postTime: new Date(),
+      status: "active",
+      upVote: 7,
+      downVote: 0,
+      votes: { u1: "upvote", u2: "upvote", u3: "downvote" },
+    });
+    await app.locals.prepareStore();
+
+    const post = await store.posts.findOne({ _id });
+    assert.equal(post.upVote, 2);
+    assert.equal(post.downVote, 1);
+    assert.equal(post.votes, undefined);
+    assert.equal(await store.votes.countDocuments({ targetId: _id }), 3);
+  });
+
+  it("grants membership to the email on the intent, not to whoever reported it", async () => {
+    await request(app)
+      .post("/api/payments")
+      .set(auth("eve@example.com"))
+      .send({ paymentIntentId: "pi_2", planId: "gold-monthly" })
+      .expect(200);
+
+    await sendWebhook(
+      intentEvent("payment_intent.succeeded", {
+        id: "pi_2",
+        amount: 999,
+        metadata: { email: "victim@example.com", planId: "gold-monthly" },
+      })
+    );
+
+    const victim = await store.users.findOne({ email: "victim@example.com" });
+    const eve = await store.users.findOne({ email: "eve@example.com" });
+    assert.equal(victim.membership, "gold");
+    assert.notEqual(eve?.membership, "gold");
+    const payment = await store.payments.findOne({ paymentIntentId: "pi_2" });
+    assert.equal(payment.email, "victim@example.com");
+  });
+
+  it("grants the plan named on the intent, not the one the client reported", async () => {
+    await request(app)
+      .post("/api/payments")
+      .set(auth("alice@example.com"))
+      .send({ paymentIntentId: "pi_1", planId: "gold-yearly" })
+      .expect(200);
+
+    await sendWebhook(
+      intentEvent("payment_intent.succeeded", {
+        id: "pi_1",
+        amount: 999,
+        metadata: { email: "alice@example.com", planId: "gold-monthly" },
+      })
+    );
+
+    const user = await store.users.findOne({ email: "alice@example.com" });
+    assert.equal(user.membershipPlanId, "gold-monthly");
+    const days = (user.membershipExpiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+    assert.ok(days > 29 && days <= 30);
+  });
+
+  it("ignores intents without a catalog plan or with the wrong amount", async () => {
+    await sendWebhook(
+      intentEvent("payment_intent.succeeded", {
+        id: "pi_other",
+        amount: 999,
+        metadata: { email: "alice@example.com" },
+      })
+    );
+    await sendWebhook(
+      intentEvent("payment_intent.succeeded", {
+        id: "pi_cheap",
+        amount: 1,
+        metadata: { email: "bob@example.com", planId: "gold-yearly" },
+      })
+    );
+
+    assert.equal(await store.users.findOne({ email: "alice@example.com" }), null);
+    assert.equal(await store.payments.findOne({ paymentIntentId: "pi_other" }), null);
+    assert.equal(await store.users.findOne({ email: "bob@example.com" }), null);
+    const payment = await store.payments.findOne({ paymentIntentId: "pi_cheap" });
+    assert.equal(payment.membershipGranted, false);
+  });
+
+  it("won't let a banned user delete their account", async () => {
+    await store.users.insertOne({
+      email: "eve@example.com",
+      role: "member",
+      suspension: { type: "ban", reason: "Spam", endsAt: null, createdAt: new Date() },
+    });
+
+    const res = await request(app)
+      .delete("/api/users/me")
+      .set(auth("eve@example.com"))
+      .send({ confirmEmail: "eve@example.com" })
+      .expect(403);
+    assert.equal(res.body.error.code, "ACCOUNT_BANNED");
+    assert.ok(await store.users.findOne({ email: "eve@example.com" }));
+    await request(app).post("/posts").set(auth("eve@example.com")).send({ title: "Back again", description: "Clean record" }).expect(403);
+  });
+
+  it("deletes the account of a user in good standing", async () => {
+    await createPost("alice@example.com");
+    await request(app)
+      .delete("/api/users/me")
+      .set(auth("alice@example.com"))
+      .send({ confirmEmail: "alice@example.com" })
+      .expect(200);
+    assert.equal(await store.users.findOne({ email: "alice@example.com" }), null);
+    const post = await store.posts.findOne({});
+    assert.equal(post.authorName, "[deleted]");
+  });
+
+  it("keeps moderation records out of the public profile", async () => {
+    await store.users.insertOne({
+      email: "eve@example.com",
+      displayName: "Eve",
+      membership: "free",
+      badge: "bronze",
+      suspension: { type: "ban", reason: "Spam", issuedBy: "admin@example.com" },
+      suspensionHistory: [{ type: "ban", reason: "Spam" }],
+      warnings: [{ reason: "Rude" }],
+      notificationPreferences: { vote: false },
+    });
+
+    const res = await request(app).get("/api/users/profile").query({ email: "eve@example.com" }).expect(200);
+    assert.equal(res.body.displayName, "Eve");
+    assert.equal(res.body.membership, "free");
+    for (const field of ["suspension", "suspensionHistory", "warnings", "notificationPreferences"]) {
+      assert.equal(res.body[field], undefined);
+    }
+  });
+
+  it("neutralizes formulas in the audit log CSV export", async () => {
+    await store.users.insertOne({ email: "admin@example.com", role: "admin" });
+    await store.auditLog.insertOne({
+      createdAt: new Date(),
+      actorEmail: "eve@example.com",
+      action: "post.delete",
+      userAgent: "=1+1",
+      after: null,
+    });
+
+    const res = await request(app).get("/api/audit-log/export").set(auth("admin@example.com")).expect(200);
+    const [, row] = res.text.trim().split("\r\n");
+    assert.ok(row.includes(",'=1+1,"));
+  });
+
+  it("diffs revisions and refuses diffs that are too large", async () => {
+    const lines = (text, count) => Array(count).fill(text).join("\n");
+    const postId = await createPost("alice@example.com", { description: `intro\n${lines("a", 2000)}` });
+    await request(app)
+      .patch(`/posts/${postId}`)
+      .set(auth("alice@example.com"))
+      .send({ description: `intro\n${lines("b", 2000)}` })
+      .expect(200);
+    await request(app)
+      .patch(`/posts/${postId}`)
+      .set(auth("alice@example.com"))
+      .send({ description: `intro\n${lines("b", 1999)}\nc` })
+      .expect(200);
+
+    const small = await request(app)
+      .get(`/posts/${postId}/revisions/diff`)
+      .query({ from: 2, to: 3 })
+      .set(auth("alice@example.com"))
+      .expect(200);
+    assert.deepEqual(small.body.changed, ["description"]);
+    assert.deepEqual(
+      small.body.changes.description.filter((change) => change.type !== "equal"),
+      [{ type: "removed", line: "b" }, { type: "added", line: "c" }]
+    );
+
+    const large = await request(app)
+      .get(`/posts/${postId}/revisions/diff`)
+      .query({ from: 1, to: 2 })
+      .set(auth("alice@example.com"))
+      .expect(422);
+    assert.equal(large.body.error.code, "DIFF_TOO_LARGE");
+  });
+
+  it("lists active announcements as an array with a separate unread count", async () => {
+    await store.users.insertOne({ email: "admin@example.com", role: "admin" });
+    const created = await request(app)
+      .post("/api/announcements")
+      .set(auth("admin@example.com"))
+      .send({ title: "Welcome", description: "Hello everyone" })
+      .expect(201);
+    await request(app)
+      .post("/api/announcements")
+      .set(auth("admin@example.com"))
+      .send({ title: "Later", description: "Not yet", publishAt: new Date(Date.now() + 60 * 60 * 1000) })
+      .expect(201);
+
+    const list = await request(app).get("/announcements").expect(200);
+    assert.ok(Array.isArray(list.body));
+    assert.deepEqual(list.body.map((a) => a.title), ["Welcome"]);
+
+    const unread = () =>
+      request(app).get("/announcements/unread-count").set(auth("bob@example.com")).expect(200);
+    assert.equal((await unread()).body.unreadCount, 1);
+    await request(app).post(`/announcements/${created.body._id}/read`).set(auth("bob@example.com")).expect(200);
+    assert.equal((await unread()).body.unreadCount, 0);
+  });
+
+  it("gives paid members from before expiry a grace period instead of expiring them", async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const upgradedAt = new Date(Date.now() - 90 * day);
+    await store.users.insertMany([
+      { email: "old@example.com", membership: "premium", badge: "Gold", membershipUpgradedAt: upgradedAt },
+      { email: "recent@example.com", membership: "gold", badge: "Gold", membershipUpgradedAt: new Date(Date.now() - 5 * day) },
+    ]);
+    await app.locals.prepareStore();
+
+    for (const email of ["old@example.com", "recent@example.com"]) {
+      const user = await store.users.findOne({ email });
+      assert.ok(["premium", "gold"].includes(user.membership));
+      assert.equal(user.badge, "Gold");
+      const daysLeft = (user.membershipExpiresAt - Date.now()) / day;
+      assert.ok(daysLeft > 29 && daysLeft <= 30, email);
+    }
+    const old = await store.users.findOne({ email: "old@example.com" });
+    assert.deepEqual(old.membershipStartedAt, upgradedAt);
+
+    // A second start doesn't extend it again
+    const { membershipExpiresAt } = old;
+    await app.locals.prepareStore();
+    assert.deepEqual((await store.users.findOne({ email: "old@example.com" })).membershipExpiresAt, membershipExpiresAt);
+  });
+
+  it("normalizes tags on older posts and seeds the tags collection", async () => {
+    store = createMemoryStore();
+    const legacyPost = (title, tags) => ({
+      title,
+      description: "From before tag management",
+      authorEmail: "alice@example.com",
+      postTime: new Date(),
+      status: "active",
+      upVote: 0,
+      downVote: 0,
+      tags,
+    });
+    await store.tags.insertMany([{ name: "JavaScript" }, { name: "javascript", aliases: ["JS"] }]);
+    await store.posts.insertMany([
+      legacyPost("One", ["JavaScript", "Web Dev"]),
+      legacyPost("Two", "js, web dev"),
+    ]);
+    app = createApp({ store });
+    await app.locals.prepareStore();
+
+    for (const tag of ["JavaScript", "javascript", "js", "Web Dev", "web-dev"]) {
+      const res = await request(app).get("/posts").query({ tag }).expect(200);
+      assert.equal(res.body.total, 2, `tag ${tag}`);
+    }
+    const tags = await request(app).get("/tags").expect(200);
+    assert.deepEqual(tags.body.map((tag) => tag.name), ["javascript", "web-dev"]);
+    assert.deepEqual(tags.body[0].aliases, ["js"]);
+    const popular = await request(app).get("/api/tags/popular").expect(200);
+    assert.deepEqual(popular.body.map((tag) => tag.name).sort(), ["javascript", "web-dev"]);
+  });
+
+  it("scrubs the erased email from moderation records", async () => {
+    await store.users.insertMany([
+      { email: "mod@example.com", role: "admin" },
+      { email: "boss@example.com", role: "admin" },
+      {
+        email: "eve@example.com",
+        role: "member",
+        warnings: [{ reason: "Rude", issuedBy: "mod@example.com" }],
+        suspension: null,
+        suspensionHistory: [{ type: "suspension", reason: "Spam", issuedBy: "mod@example.com" }],
+      },
+    ]);
+    await store.reports.insertOne({
+      reporterEmail: "boss@example.com",
+      status: "dismissed",
+      resolution: { action: "dismiss", resolvedBy: "mod@example.com", resolvedAt: new Date() },
+    });
+    await store.comments.insertOne({
+      postId: new ObjectId(),
+      comment: "Approved",
+      authorEmail: "boss@example.com",
+      review: { reviewedBy: "mod@example.com", reviewedAt: new Date() },
+    });
+    const postId = await createPost("mod@example.com");
+    await request(app).delete(`/posts/${postId}`).set(auth("mod@example.com")).send({}).expect(200);
+
+    await request(app)
+      .delete("/api/users/me")
+      .set(auth("mod@example.com"))
+      .send({ confirmEmail: "mod@example.com" })
+      .expect(200);
+
+    for (const name of ["users", "reports", "comments", "posts", "postRevisions"]) {
+      const docs = await store[name].find({}).toArray();
+      assert.ok(!JSON.stringify(docs).includes("mod@example.com"), `${name} still holds the email`);
+    }
+    const eve = await store.users.findOne({ email: "eve@example.com" });
+    assert.equal(eve.warnings[0].reason, "Rude");
+    assert.equal(eve.suspensionHistory.length, 1);
+  });
+
+  it("removes the votes on comments it purges", async () => {
+    const postId = await createPost("alice@example.com");
+    const comment = await request(app)
+      .post(`/posts/${postId}/comments`)
+      .set(auth("bob@example.com"))
+      .send({ comment: "Going away" })
+      .expect(201);
+    await request(app)
+      .post(`/posts/${postId}/comments/${comment.body._id}/vote`)
+      .set(auth("carol@example.com"))
+      .send({ voteType: "upvote" })
+      .expect(200);
+
+    await request(app)
+      .delete("/api/users/me")
+      .set(auth("bob@example.com"))
+      .send({ confirmEmail: "bob@example.com", content: "delete" })
+      .expect(200);
+
+    assert.equal(await store.comments.countDocuments({}), 0);
+    assert.equal(await store.votes.countDocuments({ targetType: "comment" }), 0);
+  });
+
+  it("counts a kept placeholder as purged only once", async () => {
+    const postId = new ObjectId();
+    const parentId = new ObjectId();
+    const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+    await store.comments.insertMany([
+      { _id: parentId, postId, parentId: null, comment: "Parent", deleted: true, deletedAt: longAgo, deletedBy: "bob@example.com" },
+      { postId, parentId, comment: "Reply", createdAt: new Date() },
+    ]);
+
+    // Run the periodic jobs once and collect what they log
+    const runJobs = async () => {
+      const logged = [];
+      const { log } = console;
+      console.log = (message) => logged.push(message);
+      try {
+        const stop = app.locals.startJobs();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        stop();
+      } finally {
+        console.log = log;
+      }
+      return logged;
+    };
+
+    assert.deepEqual(await runJobs(), ["Purged 0 posts and 1 comments from the trash"]);
+    assert.deepEqual(await runJobs(), []);
+    const parent = await store.comments.findOne({ _id: parentId });
+    assert.equal(parent.comment, "[deleted]");
+  });
+
+  it("holds links from new accounts but not from older ones without createdAt", async () => {
+    const links = "See https://a.example https://b.example https://c.example";
+    await store.users.insertOne({
+      _id: ObjectId.createFromTime(Math.floor(Date.now() / 1000) - 30 * 24 * 60 * 60),
+      email: "veteran@example.com",
+      role: "member",
+    });
+
+    await request(app)
+      .post("/posts")
+      .set(auth("veteran@example.com"))
+      .send({ title: "Links", description: links })
+      .expect(201);
+    const held = await request(app)
+      .post("/posts")
+      .set(auth("newbie@example.com"))
+      .send({ title: "Links", description: links })
+      .expect(202);
+    assert.equal(held.body.held, true);
+  });
+
+  it("runs the spam checks on edits", async () => {
+    const first = await createPost("newbie@example.com", { title: "Hello", description: "First post" });
+    const second = await createPost("newbie@example.com", { title: "Clean", description: "Nothing to see" });
+
+    const linked = await request(app)
+      .patch(`/posts/${second}`)
+      .set(auth("newbie@example.com"))
+      .send({ description: "See https://a.example https://b.example https://c.example" })
+      .expect(202);
+    assert.equal(linked.body.post.status, "held");
+    assert.deepEqual(linked.body.post.heldReasons, ["links_from_new_account"]);
+
+    const copied = await createPost("newbie@example.com", { title: "Other", description: "Different" });
+    const duplicate = await request(app)
+      .patch(`/posts/${copied}`)
+      .set(auth("newbie@example.com"))
+      .send({ title: "Hello", description: "First post" })
+      .expect(202);
+    assert.deepEqual(duplicate.body.post.heldReasons, ["duplicate_content"]);
+
+    const list = await request(app).get("/posts").expect(200);
+    assert.deepEqual(list.body.data.map((post) => post._id), [first]);
+  });
+
+  it("won't let a suspended user restore trashed content", async () => {
+    const postId = await createPost("eve@example.com");
+    const comment = await request(app)
+      .post(`/posts/${postId}/comments`)
+      .set(auth("eve@example.com"))
+      .send({ comment: "Mine" })
+      .expect(201);
+    await request(app).delete(`/posts/${postId}/comments/${comment.body._id}`).set(auth("eve@example.com")).send({}).expect(200);
+    await request(app).delete(`/posts/${postId}`).set(auth("eve@example.com")).send({}).expect(200);
+    await store.users.updateOne(
+      { email: "eve@example.com" },
+      { $set: { suspension: { type: "suspension", reason: "Spam", endsAt: new Date(Date.now() + 60 * 60 * 1000) } } },
+      { upsert: true }
+    );
+
+    const res = await request(app).post(`/posts/${postId}/restore`).set(auth("eve@example.com")).expect(403);
+    assert.equal(res.body.error.code, "ACCOUNT_SUSPENDED");
+    await request(app)
+      .post(`/posts/${postId}/comments/${comment.body._id}/restore`)
+      .set(auth("eve@example.com"))
+      .expect(403);
+  });
+
+  it("hands routes the cleaned query and params values", async () => {
+    const profile = await request(app).get("/api/users/profile").query({ email: " eve@example.com " }).expect(200);
+    assert.equal(profile.body.email, "eve@example.com");
+    assert.equal(await store.users.countDocuments({ email: "eve@example.com" }), 1);
+
+    const res = await request(app).get("/posts").query({ page: "1e300" }).expect(400);
+    assert.equal(res.body.error.code, "INVALID_REQUEST");
+
+    const postId = await createPost("alice@example.com");
+    await request(app).post(`/posts/${postId}/vote`).set(auth("bob@example.com")).send({ voteType: "upvote" }).expect(200);
+    const unread = await request(app)
+      .get("/api/notifications")
+      .query({ unread: "true" })
+      .set(auth("alice@example.com"))
+      .expect(200);
+    assert.equal(unread.body.data.length, 1);
+  });
+
+  it("returns the view counts including the read that was just counted", async () => {
+    const postId = await createPost("alice@example.com");
+
+    const first = await request(app).get(`/posts/${postId}`).set(auth("bob@example.com")).expect(200);
+    assert.equal(first.body.views, 1);
+    assert.equal(first.body.uniqueViewers, 1);
+
+    const again = await request(app).get(`/posts/${postId}`).set(auth("bob@example.com")).expect(200);
+    assert.equal(again.body.views, 1);
+    assert.equal(again.body.uniqueViewers, 1);
+
+    const other = await request(app).get(`/posts/${postId}`).set(auth("carol@example.com")).expect(200);
+    assert.equal(other.body.views, 2);
+    assert.equal(other.body.uniqueViewers, 2);
+  });
+});